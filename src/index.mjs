@@ -1,5 +1,3 @@
-import DB from 'psql-bindings';
-
 /**
  * Remove special chars from search string
  *
@@ -13,546 +11,4131 @@ export const removeSpecialSymbols = (search) => {
 };
 
 /**
- * Helper for filtering data that create conditions and bindings for a query
- *
- * P.S. Needs to add all joins (see table key) of tables when you create a query for filtering data
- *
- * Example of rules:
- *
- * // Association field type with db table (needs for correct filtering)
- *  const FILTER_WITH_TABLES = {
- *   month: {
- *     table: 'data.users',
- *     field: 'created_at',
- *     query: 'EXTRACT(MONTH FROM data.users.created_at) = :value'
- *   },
- *   year: {
- *     table: 'data.users',
- *     field: 'created_at',
- *     query: 'EXTRACT(YEAR FROM data.users.created_at) = :value'
- *   },
- *   role: {
- *     table: 'data.user_roles',
- *     field: 'role',
- *     query: ':value = ANY(data.user_roles.roles)'
- *   },
- *   active: {
- *     table: 'data.users',
- *     field: 'active',
- *     query: null
- *   }
- * };
+ * Replace named placeholders (:key) of the query
  *
- * @param filters {object} filter
- * @param rules {object} with filter rules
+ * Strings (also E'...' escape strings and $$...$$ dollar-quoted strings), quoted identifiers, comments,
+ * type casts (::type) and array slices (arr[lo:hi]) are not changed
  *
- * @return {array} of objects with conditions in the format: [{ query: 'Condition query string', binding: { key: value } }]
+ * @param query {string} SQL query with named placeholders
+ * @param replacer {function} (name, { before, after }) => string, returns the replacement for a placeholder
+ *                            before and after - parts of the query before and after the placeholder
+ * @return {string} SQL query
  */
-export const filtersHelper = ({ filters = {}, rules }) => {
-  const where = [];
+export const replacePlaceholders = (query, replacer) => {
+  let text = '';
+  let index = 0;
+  let brackets = 0;
 
-  if (Object.keys(filters).length) {
-    for (const [key, value] of Object.entries(filters)) {
-      const tableData = rules[key];
-      const table = tableData.table;
-      const field = tableData.field;
-      const query = tableData.query?.replaceAll(':value', `:${key}`);
+  while (index < query.length) {
+    const char = query[index];
+    const next = query[index + 1];
 
-      // If exist manual query
-      where.push({
-        query: query || `${table}.${field} = :${key}`,
-        binding: { [key]: value }
-      });
+    // Copy dollar-quoted strings ($$text$$ or $tag$text$tag$), $ inside an identifier is not a quote
+    const dollarTag = char === '$' && !/[\w$]/.test(query[index - 1] || '') ? query.slice(index).match(/^\$(?:[A-Za-z_]\w*)?\$/)?.[0] : null;
+
+    if (dollarTag) {
+      const end = query.indexOf(dollarTag, index + dollarTag.length);
+      const stringEnd = end === -1 ? query.length : end + dollarTag.length;
+
+      text += query.slice(index, stringEnd);
+      index = stringEnd;
+      continue;
     }
-  }
 
-  return where;
-};
+    // Copy strings and quoted identifiers
+    if (char === "'" || char === '"') {
+      // A backslash escapes a char in E'...' strings
+      const isEscapeString = char === "'" && /[Ee]/.test(query[index - 1] || '') && !/[\w$]/.test(query[index - 2] || '');
+      let end = index + 1;
 
-/**
- * Create string with conditions and bindings
- *
- * @param whereConditions {array} with objects { query, binding: { key: value }}
- * @param doNotAddWhere {boolean} if true then don't need to add WHERE to a query
- *
- * @return {object} with two attributes: where {string}, bindings {object} { key: value }
- */
-export const createWhereQuery = ({ whereConditions, doNotAddWhere = false }) => {
-  const conditions = [];
-  let bindings = {};
-  let where = '';
+      while (end < query.length) {
+        if (isEscapeString && query[end] === '\\') end += 2;
+        else if (query[end] === char && query[end + 1] === char) end += 2;
+        else if (query[end] === char) break;
+        else end++;
+      }
 
-  whereConditions?.forEach(({ query, binding }) => {
-    if (query) conditions.push(`(${query})`);
-    if (binding) bindings = { ...bindings, ...binding };
-  });
+      text += query.slice(index, end + 1);
+      index = end + 1;
+      continue;
+    }
 
-  if (conditions.length) where = conditions?.join(' AND ');
+    // Copy comments
+    if ((char === '-' && next === '-') || (char === '/' && next === '*')) {
+      const isLine = char === '-';
+      const end = query.indexOf(isLine ? '\n' : '*/', index + 2);
+      const commentEnd = end === -1 ? query.length : end + (isLine ? 1 : 2);
 
-  if (where.length) where = doNotAddWhere ? ` AND ${where}` : ` WHERE ${where}`;
+      text += query.slice(index, commentEnd);
+      index = commentEnd;
+      continue;
+    }
 
-  return { where, bindings };
+    // Copy type casts
+    if (char === ':' && next === ':') {
+      text += '::';
+      index += 2;
+      continue;
+    }
+
+    if (char === '[') brackets++;
+    if (char === ']') brackets = Math.max(brackets - 1, 0);
+
+    // The colon of an array slice (arr[lo:hi]) follows the lower bound
+    const isSlice = char === ':' && brackets > 0 && /[\w)\]]$/.test(query.slice(0, index).trimEnd());
+    const placeholder = char === ':' && !isSlice ? query.slice(index + 1).match(/^[A-Za-z_]\w*/)?.[0] : null;
+
+    if (placeholder) {
+      text += replacer(placeholder, { before: query.slice(0, index), after: query.slice(index + placeholder.length + 1) });
+      index += placeholder.length + 1;
+      continue;
+    }
+
+    text += char;
+    index++;
+  }
+
+  return text;
 };
 
 /**
- * Create meta query (order, offset, etc)
- * Needs to use as last query element
+ * Convert a query with named placeholders (:key) to a query with positional parameters ($1, $2)
  *
- * @param meta {object} meta data (perPage: Int
- *                                 offset: Int
- *                                 order: String
- *                                 orderBy: String)
- * @param table {string} table name with schema name (data.users) for sorting
- * @param orderRaw {string} sql order string, for example:
- *                              'ORDER BY t.year DESC, t.month DESC, t.week DESC'
- *                          If exist then we will use this data instead meta.order/meta.orderBy/sortingTableName
- * @return {object} with two attributes: sorting {string}, bindings {object} { key: value }
+ * Strings, quoted identifiers, comments and type casts (::type) are not changed
+ * An array is one parameter (= ANY(:ids) => = ANY($1), array columns of INSERT, etc.)
+ * Only if the placeholder is the whole IN list the array is expanded to the list of parameters: IN (:ids) => IN ($1, $2, $3)
+ * An empty array is IN (NULL) (no records), for NOT IN an error is thrown: NOT IN (NULL) would also return no records
+ * The same placeholder uses the same parameter number
+ *
+ * @param query {string} SQL query with named placeholders
+ * @param bindings {object} SQL bindings { key: value }
+ * @param parameterStyle {string} numbered ($1, by default) or question (?, a value is added for every placeholder usage)
+ * @return {object} - { text, values }
  */
-export const createMetaQuery = (meta, table, orderRaw) => {
-  const PER_PAGE = 25;
-  const OFFSET = 0;
-
-  let bindings = {};
-  let sorting = '';
+export const toPositionalQuery = (query, bindings = {}, parameterStyle = 'numbered') => {
+  const values = [];
+  const parameters = new Map();
 
   /**
-   * Create order query from meta
+   * Get parameters for a placeholder (the same placeholder uses the same parameters)
+   *
+   * @param name {string} placeholder name
+   * @param before {string} part of the query before the placeholder
+   * @param after {string} part of the query after the placeholder
+   * @return {string} for example: '$1' or '$1, $2' for arrays in IN lists
    */
-  const sortByMetaOrder = () => {
-    const order = meta?.order?.toUpperCase() || 'ASC';
+  const getParameters = (name, { before, after }) => {
+    if (!Object.hasOwn(bindings, name)) throw new Error(`Missing binding for the placeholder ":${name}"`);
 
-    if (order && !['ASC', 'DESC'].includes(order)) throw new Error('Incorrect order value! Need use only ASC or DESC!');
-
-    if (meta?.orderBy) {
-      const orderByTrim = removeSpecialSymbols(meta.orderBy);
+    const value = bindings[name];
+    const isInList = Array.isArray(value) && /\bIN\s*\(\s*$/i.test(before) && /^\s*\)/.test(after);
+    const key = isInList ? `${name}:list` : name;
 
-      const field = table ? `${table}.${orderByTrim}` : orderByTrim;
-      sorting = ` ORDER BY ${field} ${order}`;
-    } else {
-      // By default sort by id DESC and created_at DESC if table not null
-      if (table) sorting = ` ORDER BY ${table}.id DESC, ${table}.created_at DESC`;
+    if (isInList && !value.length && /\bNOT\s+IN\s*\(\s*$/i.test(before)) {
+      throw new Error(`Incorrect value of the placeholder ":${name}"! An empty array can't be used in NOT IN (), check the array before the query`);
     }
-  };
 
-  /**
-   * Create order query from orderRaw
-   */
-  const sortByOrderRaw = () => {
-    sorting = ` ${orderRaw}`;
-  };
+    if (parameterStyle === 'numbered' && parameters.has(key)) return parameters.get(key);
 
-  if (!orderRaw) sortByMetaOrder();
-  if (orderRaw) sortByOrderRaw();
+    const items = isInList ? value : [value];
 
-  sorting += ' OFFSET :offset LIMIT :perPage';
-  bindings = meta?.perPage ? { ...bindings, perPage: meta.perPage } : { ...bindings, perPage: PER_PAGE };
-  bindings = meta?.offset ? { ...bindings, offset: meta.offset } : { ...bindings, offset: OFFSET };
+    const numbers = items.map((item) => {
+      values.push(item);
 
-  return { sorting, bindings };
-};
+      return parameterStyle === 'numbered' ? `$${values.length}` : '?';
+    });
 
-/**
- * Get count of SQL records
- *
- * @param mainQuery {string} SQL query
- * @param bindings {object} SQL bindings for the query
- */
-export const getCountRecords = async ({ mainQuery, bindings }) => {
-  const regexpRows = /rows=(\d)+/g;
-  const regexpActual = /actual rows=(\d)+/g;
-  let countQuery = `EXPLAIN (ANALYZE, TIMING OFF) ${mainQuery}`;
+    // An empty array can't be used in IN ()
+    const parameter = numbers.length ? numbers.join(', ') : 'NULL';
+    parameters.set(key, parameter);
 
-  // Remove redundant subQueries
-  let cleanedQuery = countQuery
-    .replace(/SELECT\s+(DISTINCT\s*)?([^\s,]+).*FROM\s+(.*)(?=\s+(?:WHERE|GROUP|ORDER|LIMIT|$))/is, 'SELECT $1$2 FROM $3');
+    return parameter;
+  };
 
-  // Find new bindings in the query
-  const queryBindings = new Set([...cleanedQuery.matchAll(/(?<!:):([\w.]+)\b/g)].map((match) => match[1]));
+  const text = replacePlaceholders(query, getParameters);
 
-  // Create new bindings for this query
-  const cleanedBindings = [...queryBindings].reduce((acc, key) => ({ ...acc, [key]: bindings[key] }), {})
+  return { text, values };
+};
 
-  const countExplain = await DB.query(cleanedQuery, { bindings: cleanedBindings });
+/**
+ * Outputs of the prepared query
+ */
+const QUERY_OUTPUTS = ['named', 'positional'];
 
-  let count = countExplain[0]['queryPlan'].match(regexpActual);
-  count = count[0].match(regexpRows);
+/**
+ * Add the positional query to the result of prepared query
+ *
+ * @param result {object} result with preparedQuery and bindings
+ * @param output {string} 'named' or 'positional'
+ * @return {object} result, for the positional output with { text, values }
+ */
+const createQueryOutput = (result, output) => {
+  if (!QUERY_OUTPUTS.includes(output)) throw new Error(`Incorrect output value! Need use only ${QUERY_OUTPUTS.join(', ')}`);
+  if (output === 'named') return result;
 
-  return parseInt(count[0].replace('rows=', ''));
+  return { ...result, ...toPositionalQuery(result.preparedQuery, result.bindings) };
 };
 
 /**
- * Prepare SQL query for execution
+ * Merge bindings and check conflicts
  *
- * Adding all WHERE conditions to the query
- * Adding all filter conditions to the query
- * Creating all bindings to the query
- * Adding grouping for the query
- * Adding sorting and limit to the query
- * Get the count of query records
- *
- * @param mainQuery {string} the general SQL query
- * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'Condition query string', binding: { key: value } }])
- * @param doNotAddWhere {boolean} if true then doesn't need to add WHERE to the query
- * @param groupBy {string|null} with GROUP BY query (for example: 'GROUP BY data.users.address_id')
- * @param meta {object} meta data (perPage: Int, offset: Int, order: String, orderBy: String). See metaInput type
- * @param orderRaw {string|null} SQL order string, for example:
- *                                 'ORDER BY t.year DESC, t.month DESC, t.week DESC'
- *                               If exist then we will use this data instead meta.order/meta.orderBy/sortingTableName
- * @param sortingTableName {string|null} name of a table with schema for sorting (for example: 'data.users') if meta is used
- * @param filters {object} filter conditions (for example: { userType: "client" })
- * @param filterRules {object} with dictionary for filtering
- * @param getTotalCount {boolean} get total count records in the DB (by default = true)
- * @param {object|null} rawTotalCountQuery - RAW query for the total count of records
- *                                           Useful for showing all data (default is `null`)
- *                                           If provided, the `getCountRecords` function will be ignored
- *                                           If `getTotalCount` is `false`, this RAW query will be ignored
- *                                           Example: {
- *                                                      query: 'SELECT count(u.id) as count FROM data.users u WHERE u.type = :serviceProvider',
- *                                                      bindings: { serviceProvider: 'serviceProvider' },
- *                                                      countField: 'count'
- *                                                    }
+ * If the same placeholder receives two different values an error is thrown (instead of the silent overwriting)
  *
- * @return {object} - { preparedQuery, bindings, totalCount }
+ * @param bindings {object} current bindings { key: value }
+ * @param binding {object} new bindings { key: value }
+ * @param source {string|null} name of the bindings source (for errors)
+ * @return {object} merged bindings
  */
-const prepareSQLQuery = async ({
-                                 mainQuery,
-                                 where,
-                                 doNotAddWhere = false,
-                                 groupBy = null,
-                                 meta = null,
-                                 orderRaw = null,
-                                 sortingTableName = null,
-                                 filters = null,
-                                 filterRules = null,
-                                 getTotalCount = true,
-                                 rawTotalCountQuery = null
-                               }) => {
-  try {
-    let totalCount = 0;
+export const mergeBindings = (bindings = {}, binding = {}, source = null) => {
+  const merged = { ...bindings };
 
-    // Array of objects with conditions in the format: [{ query: 'Condition query string', binding: { key: value } }]
-    let whereConditions = where;
+  for (const [key, value] of Object.entries(binding || {})) {
+    if (Object.hasOwn(merged, key) && JSON.stringify(merged[key]) !== JSON.stringify(value)) {
+      throw new Error(`Binding conflict${source ? ` in ${source}` : ''}: the placeholder ":${key}" receives two different values`);
+    }
 
-    // A general SQL query
-    let preparedQuery = mainQuery;
+    merged[key] = value;
+  }
 
-    // If exist filters then add them to conditions
-    if (filters) {
-      const filterWhere = filtersHelper({ filters, rules: filterRules });
-      whereConditions = [...whereConditions, ...filterWhere];
-    }
+  return merged;
+};
 
-    // Create string with conditions and bindings
-    const conditionsQuery = createWhereQuery({ whereConditions, doNotAddWhere });
+/**
+ * Add a namespace to placeholders of the query
+ *
+ * Only placeholders from bindings are renamed, other placeholders (for example, bindings of a parent query) are not changed
+ *
+ * @param query {string} SQL query
+ * @param bindings {object} SQL bindings of the query
+ * @param namespace {string} namespace, for example: 'author' (:userId => :author__userId)
+ * @return {object} - { query, bindings }
+ */
+export const namespacePlaceholders = (query, bindings, namespace) => {
+  const rename = (name) => `${namespace}__${name}`;
 
-    // Add conditions to query
-    preparedQuery += conditionsQuery.where;
+  const namespacedQuery = replacePlaceholders(query, (name) => `:${Object.hasOwn(bindings, name) ? rename(name) : name}`);
+  const namespacedBindings = Object.entries(bindings).reduce((acc, [key, value]) => ({ ...acc, [rename(key)]: value }), {});
 
-    // Add grouping
-    if (groupBy) preparedQuery += ` ${groupBy}`;
+  return { query: namespacedQuery, bindings: namespacedBindings };
+};
 
-    // Add bindings
-    let bindings = conditionsQuery.bindings;
+/**
+ * Database executor for the psql-bindings package
+ *
+ * @param DB {object} psql-bindings DB object
+ * @return {object} executor { query(sql, bindings) }
+ */
+export const createPsqlBindingsExecutor = (DB) => ({
+  query: (sql, bindings = {}) => DB.query(sql, { bindings })
+});
 
-    // Get count of records for the SQL query. It needs to call before createMetaQuery
-    if (getTotalCount && !rawTotalCountQuery) totalCount = await getCountRecords({ mainQuery: preparedQuery, bindings: conditionsQuery.bindings });
+/**
+ * Database executor for node-postgres (pg). Works with Pool, Client or a transaction client
+ *
+ * @param client {object} pg Pool or Client
+ * @return {object} executor { query(sql, bindings) }
+ */
+export const createPgExecutor = (client) => ({
+  query: async (sql, bindings = {}) => {
+    const { text, values } = toPositionalQuery(sql, bindings);
+    const result = await client.query(text, values);
 
-    // If exists RAW count query
-    if (getTotalCount && rawTotalCountQuery?.query) {
-      totalCount = await DB.query(rawTotalCountQuery?.query, {bindings: rawTotalCountQuery?.bindings});
-      totalCount = totalCount?.[0]?.[rawTotalCountQuery.countField || 'count'] || 0;
-    }
+    return result.rows;
+  }
+});
 
-    // Add sorting and limit to query
-    const sortingQuery = createMetaQuery(meta, sortingTableName, orderRaw);
-    preparedQuery += sortingQuery.sorting;
+/**
+ * Database executor for Sequelize
+ *
+ * @param sequelize {object} Sequelize instance
+ * @param options {object} additional options for sequelize.query (for example: { transaction })
+ * @return {object} executor { query(sql, bindings) }
+ */
+export const createSequelizeExecutor = (sequelize, options = {}) => ({
+  query: (sql, bindings = {}) => sequelize.query(sql, { type: 'SELECT', ...options, replacements: bindings })
+});
 
-    // Create bindings for a query
-    bindings = { ...bindings, ...sortingQuery.bindings };
+/**
+ * Database executor for knex. Works with knex instance or a transaction
+ *
+ * @param knex {object} knex instance or transaction
+ * @return {object} executor { query(sql, bindings) }
+ */
+export const createKnexExecutor = (knex) => ({
+  query: async (sql, bindings = {}) => {
+    // knex uses ? for positional bindings, so ? in the query (for example the jsonb operator) has to be escaped
+    const { text, values } = toPositionalQuery(sql.replaceAll('?', '\\?'), bindings, 'question');
+    const result = await knex.raw(text, values);
 
-    return { preparedQuery, bindings, totalCount };
-  } catch (error) {
-     throw new Error(error.message);
+    return result?.rows ?? result;
   }
-};
+});
 
 /**
- * Get all fields from graphQL query or mutation
+ * In-memory executor for unit tests without a database
  *
- * @param info {object} GraphQL info object
- * @return {array} fields data
+ * Saves all calls and returns responses in order or the result of the handler
+ *
+ * @param responses {array|function} array of results (one array of rows for every call)
+ *                                   or function (sql, bindings) => rows
+ * @return {object} executor { query(sql, bindings), calls }
  */
-export const getFieldsFromGraphQl = (info) => {
-  // Extract the selection set from the info object
-  const selectionSet = info?.fieldNodes?.[0]?.selectionSet;
+export const createFakeExecutor = (responses = []) => {
+  const queue = Array.isArray(responses) ? [...responses] : [];
 
-  // Recursive function to extract fields
-  const extractFields = (selectionSet) =>
-    selectionSet?.selections
-      ?.filter((selection) => selection?.name?.value !== '__typename')
-      ?.map((selection) => {
-        const name = selection?.name?.value;
-        const fields = selection?.selectionSet ? extractFields(selection?.selectionSet) : null;
-
-        return { name, fields };
-      });
+  const executor = {
+    calls: [],
+    query: async (sql, bindings = {}) => {
+      executor.calls.push({ sql, bindings });
 
-  // Return the fields from the query
-  return extractFields(selectionSet);
+      if (typeof responses === 'function') return responses(sql, bindings);
+
+      return queue.length ? queue.shift() : [];
+    }
+  };
+
+  return executor;
 };
 
+// Executor which is used if the executor is not provided to a function
+let defaultExecutor = null;
+
 /**
- * Get another model all related fields from graphQL query or mutation
+ * Set the global database executor
  *
- * fields - is all fields from graphQl schema
- *
- * @param info {object} GraphQL info object
- * @return {{fields: *}} fields data { fields }
+ * @param executor {object|null} executor { query(sql, bindings) }, null - use psql-bindings
  */
-export const getRelatedFieldsFromGraphQl = (info) => {
-  const fields = getFieldsFromGraphQl(info);
-  const dataFields = fields?.find(({ name }) => name === 'data')?.fields || [];
+export const setDefaultExecutor = (executor) => {
+  if (executor && typeof executor.query !== 'function') throw new Error('Invalid input: executor must have the query(sql, bindings) function');
 
-  return { fields: dataFields };
+  defaultExecutor = executor;
 };
 
 /**
- * Create a SQL query for the Builder
+ * Get database executor
  *
- * @param mainQuery {string} the general SQL query
- * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'Condition query string', binding: { key: value } }])
+ * If the executor is not provided, the global executor is used, otherwise psql-bindings (it has to be installed)
  *
- * @return {object} - { preparedQuery, bindings }
+ * @param executor {object|null} executor { query(sql, bindings) }
+ * @return {Promise<object>} executor
  */
-export const createSqlQueryForBuilder = ({ mainQuery, where }) => {
-  // A general SQL query
-  let preparedQuery = mainQuery;
+export const getExecutor = async (executor = null) => {
+  if (executor) {
+    if (typeof executor.query !== 'function') throw new Error('Invalid input: executor must have the query(sql, bindings) function');
 
-  // Create string with conditions and bindings
-  const conditionsQuery = createWhereQuery({ whereConditions: where });
+    return executor;
+  }
 
-  // Add conditions to query
-  preparedQuery += conditionsQuery.where;
+  if (defaultExecutor) return defaultExecutor;
 
-  // Add bindings
-  const bindings = conditionsQuery.bindings;
+  const { default: DB } = await import('psql-bindings');
+  defaultExecutor = createPsqlBindingsExecutor(DB);
 
-  return { preparedQuery, bindings };
+  return defaultExecutor;
 };
 
 /**
- * PostgreSQL query builder
+ * Filter operators with functions for creating conditions
+ * Every function gets a column, a placeholder and a value and returns a condition string
+ */
+const FILTER_OPERATORS = {
+  eq: (column, placeholder) => `${column} = ${placeholder}`,
+  ne: (column, placeholder) => `${column} <> ${placeholder}`,
+  gt: (column, placeholder) => `${column} > ${placeholder}`,
+  gte: (column, placeholder) => `${column} >= ${placeholder}`,
+  lt: (column, placeholder) => `${column} < ${placeholder}`,
+  lte: (column, placeholder) => `${column} <= ${placeholder}`,
+  in: (column, placeholder) => `${column} IN (${placeholder})`,
+  notIn: (column, placeholder) => `${column} NOT IN (${placeholder})`,
+  like: (column, placeholder) => `${column} LIKE ${placeholder}`,
+  ilike: (column, placeholder) => `${column} ILIKE ${placeholder}`,
+  isNull: (column, placeholder, value) => `${column} IS ${value ? '' : 'NOT '}NULL`
+};
+
+/**
+ * Keys of filters for grouping conditions
+ */
+const FILTER_GROUPS = ['and', 'or', 'not'];
+
+/**
+ * Check if the filter value is an object with operators, for example: { gte: 10, lt: 100 }
  *
- * Builds a data structure for generating SQL queries
- * The return format corresponds to the `prepareSQLQuery` function from the 'prepare-sql-query' package
+ * @param value {*} filter value
+ * @return {boolean}
+ */
+const isOperatorsValue = (value) => value?.constructor === Object
+  && Object.keys(value).length > 0
+  && Object.keys(value).every((key) => Object.hasOwn(FILTER_OPERATORS, key));
+
+/**
+ * Get conditions of a scope
  *
- * @param {object} modelSQLField - Contains model SQL fields, including table name and query configurations
- * @param {array} fieldsData - An array of field names to include in the query in format:
- *                             [
- *                              { name: 'id', fields: null },
- *                              { name: 'users', fields: [
- *                                                        { name: 'id', fields: null },
- *                                                        { name: 'email', fields: null }
- *                                                        ]
- *                               }
- *                              ]
- * @param info {object} GraphQL info object. By default is null. If you use this param, you can skip fieldsData
+ * A function scope requires the context, without it an error is thrown (instead of a TypeError inside the scope
+ * or a condition with an undefined binding)
  *
- * @return {object} An object containing data for creating the SQL query:
- * {
- *   where: [{ query: string, binding: object }],
- *   mainQuery
- * }
+ * @param scope {object|array|function} condition { query, binding }, an array of conditions or a function (context) => condition
+ * @param context {object|null} context of the request (user, tenant, etc.)
+ * @param errorPath {string} the model or the filter field with the scope (for errors)
+ * @return {array} of objects with conditions in the format: [{ query, binding }]
+ */
+const resolveScope = (scope, context, errorPath) => {
+  if (typeof scope === 'function' && context == null) throw new Error(`The scope of ${errorPath} requires a context! Pass the context of the request`);
+
+  const condition = typeof scope === 'function' ? scope(context) : scope;
+
+  return (Array.isArray(condition) ? condition : [condition]).filter((item) => item?.query || item?.binding);
+};
+
+/**
+ * Helper for filtering data that create conditions and bindings for a query
  *
- * @property {array} where - An array of objects, each representing a WHERE condition query and its associated bindings for placeholders
- * @property {string} mainQuery - A string representing the base query, constructed using `modelSQLField.tableName` with the selected fields and join queries
+ * P.S. Needs to add all joins (see table key) of tables when you create a query for filtering data
  *
- * modelSQLField has to be the next format:
+ * Example of rules:
  *
- *   export const feedbackSQLFields = {
- *     tableName: 'data.feedbacks f',
- *     id: { select: ['f.id'] },
- *     score: { select: ['f.score'] },
- *     message: { select: ['f.message'] },
- *     images: { select: ['f.images'] },
- *     authorId: { select: ['f.author_id'] },
- *     author: { relation: userSQLFields, type: {}, where: { query: 'u.id = f.author_id' } },
- *     answers: { select: ['f.answers'] },
- *     createdAt: { select: ['f.created_at'] },
- *     updatedAt: { select: ['f.updated_at'] }
- *   };
+ * // Association field type with db table (needs for correct filtering)
+ *  const FILTER_WITH_TABLES = {
+ *   month: {
+ *     table: 'data.users',
+ *     field: 'created_at',
+ *     query: 'EXTRACT(MONTH FROM data.users.created_at) = :value'
+ *   },
+ *   year: {
+ *     table: 'data.users',
+ *     field: 'created_at',
+ *     query: 'EXTRACT(YEAR FROM data.users.created_at) = :value'
+ *   },
+ *   role: {
+ *     table: 'data.user_roles',
+ *     field: 'role',
+ *     query: ':value = ANY(data.user_roles.roles)'
+ *   },
+ *   active: {
+ *     table: 'data.users',
+ *     field: 'active',
+ *     query: null
+ *   },
+ *   price: {
+ *     table: 'data.users',
+ *     field: 'price',
+ *     query: null,
+ *     operators: ['eq', 'gte', 'lte', 'gt', 'lt']
+ *   },
+ *   state: {
+ *     scopes: articleSQLFields.scopes
+ *   }
+ * };
  *
- *   OR
+ * Example of filters:
  *
- *   export const userSQLFields = {
- *     tableName: 'data.users u',
- *     id: { select: ['DISTINCT u.id'] },
- *     avatar: { select: ['u.avatar'] },
- *     firstName: { select: ['u.first_name'] },
- *     lastName: { select: ['u.last_name'] },
- *     address: {
- *       select: ['to_jsonb(a) as address'],
- *       join: ['INNER JOIN data.addresses a ON a.id = u.address_id'],
- *       where: { query: 'a.id = u.address_id', binding: {} }
- *     },
- *     currency: {
- *       select: ['COALESCE(uset.currency, :defaultPlatformCurrency) as currency'],
- *       join: ['INNER JOIN data.user_settings uset ON uset.user_id = u.id'],
- *       where: {
- *         binding: { defaultPlatformCurrency: DEFAULT_PLATFORM_CURRENCY }
- *       }
- *     },
- *     locale: {
- *       select: ['COALESCE(uset.locale, :defaultLanguage) as locale'],
- *       join: ['LEFT JOIN data.user_settings uset ON uset.user_id = u.id'],
- *       where: {
- *         binding: { defaultLanguage }
- *       }
- *     },
- *     favorites: {
- *       select: [
- *         `(SELECT jsonb_agg(uf)
- *                  FROM data.users uf
- *                  INNER JOIN data.client_favorites cf ON uf.id = ANY (cf.service_providers)
- *                  WHERE cf.client_id = u.id) AS favorites`
- *       ]
- *     },
- *     unreadMessages: {
- *       select: [
- *         `(SELECT count(pc.id) as unread_messages FROM data.private_chats pc
- *           WHERE pc.author_id = u.id AND pc.read = false) AS unread_messages`
- *       ]
- *     },
- *   };
+ *  {
+ *    active: true,
+ *    price: { gte: 10, lt: 100 },
+ *    status: { in: ['new', 'active'] },
+ *    deletedAt: { isNull: true },
+ *    or: [{ role: 'admin' }, { year: 2024, month: 5 }],
+ *    not: { status: { eq: 'blocked' } },
+ *    state: ['published', 'archived']
+ *  }
  *
- *  * Fields for creating an SQL query (necessary for retrieving multiple records in a single SQL query, avoiding the N+1 problem)
- *  *
- *  *   Fields format:
- *  *   {
- *  *     tableName: 'data.users u',
- *  *     address: {
- *  *       select: ['to_jsonb(a) as address'],
- *  *       join: ['INNER JOIN data.addresses a ON a.id = u.address_id'],
- *  *       where: { query: 'a.id = u.address_id AND u.id = :userId', binding: { userId: 1 } }
- *  *     }
- *  *
- *  *     !!! If the field is related to another model, use the following format:
- *  *       author: {
- *  *                 relation: userSQLFields,
- *  *                 type: {} OR [] (to indicate an array or object for subQuery),
- *  *                 where: { query: 'f.author_id = u.id' } condition for the subQuery (defines the relationship between this model and the subQuery)
- *  *               }
- *  *     !!!
- *  *   }
+ * Operators: eq, ne, gt, gte, lt, lte, in, notIn, like, ilike, isNull
+ * A rule with the query key supports only the eq operator (the filter value is used as :value)
+ * A rule with the operators key allows only the listed operators (by default all operators are allowed)
+ * Groups: and (array of filters), or (array of filters), not (filters object). Groups can be nested
+ * A rule with the scopes key uses named scopes (of a model) as filter values: a scope name or an array of names (joined by OR)
  *
- *    FIELDS DATA DOC:
- *      tableName - The table name with its schema and alias
- *      key of object - The field name that needs to be attached to the query
- *      object within the key:
- *        select - An array of fields to be included in the SELECT section of the query (with aliases and using the table alias)
- *        join - An array of joins to be included in the query, which will be placed after the FROM clause
- *        where - An object containing two keys
- *                 - query: A string with conditions to be used in the WHERE clause
- *                 - binding: An object with key-value bindings, where the key represents a placeholder and the value is the binding
- *        relation - An object representing another model from which a subquery will be created. If this key is used, the `where` condition will apply to the subQuery
- *        type - An empty object (`{}`) or array (`[]`) used only with the `relation` key.
- *               This indicates whether the subquery should return one object (`{}`) or multiple objects (`[]`)
+ * Placeholders are created with the namespace: filter_key or filter_key_operator (for example: :filter_price_gte)
+ *
+ * @param filters {object} filter
+ * @param rules {object} with filter rules
+ * @param namespace {string} prefix of placeholders (by default = 'filter')
+ * @param context {object|null} context of the request for the scopes which are functions (context) => condition
  *
+ * @return {array} of objects with conditions in the format: [{ query: 'Condition query string', binding: { key: value } }]
  */
-export const postgreSqlBuilder = ({ modelSQLField = null, fieldsData = [], info = null }) => {
-  if (!modelSQLField) throw new Error('Invalid input: modelSQLField is required');
-  if (!fieldsData?.length && !info) throw new Error('Invalid input: fields or info are required (fields must be an array, info - object)');
+export const filtersHelper = ({ filters = {}, rules, namespace = 'filter', context = null }) => {
+  // Names of placeholders that are already used (one key can be used several times in groups)
+  const placeholders = new Set();
 
-  let fields = fieldsData;
+  /**
+   * Create a unique placeholder name
+   *
+   * @param name {string} placeholder name
+   * @return {string}
+   */
+  const createPlaceholder = (name) => {
+    let placeholder = name;
 
-  // If needs to get fields from graphQl schema
-  if (info) {
-    const fieldsFromGraphQl = getRelatedFieldsFromGraphQl(info);
-    fields = fieldsFromGraphQl.fields;
-  }
+    for (let index = 1; placeholders.has(placeholder); index++) placeholder = `${name}_${index}`;
 
-  const select = new Set();
-  const join = new Set();
-  const whereQuery = new Set();
-  const whereBindings = new Set();
+    placeholders.add(placeholder);
 
-  // Try to get all SQL queries schema for every field
-  for (const field of fields) {
-    const modelField = modelSQLField?.[field?.name];
+    return placeholder;
+  };
 
-    // Check if this field is related to another model (use fields from the related model)
-    if (field?.fields?.length && modelField?.relation) {
-      // Retrieve the related model schema
-      const relatedModelSQLField = modelField?.relation;
+  /**
+   * Create a condition for a filter key with scopes (scope names are joined by OR)
+   *
+   * @param key {string} filter key
+   * @param value {string|array} scope name or array of scope names
+   * @param scopes {object} named scopes
+   * @return {object} { query, binding }
+   */
+  const createScopeCondition = (key, value, scopes) => {
+    const names = Array.isArray(value) ? value : [value];
+    let binding = {};
 
-      // Determine the type for this model, needed to understand what kind of subQuery to create
-      const typeForRelatedField = modelField?.type;
+    const queries = names.map((name) => {
+      if (typeof name !== 'string' || !Object.hasOwn(scopes, name)) {
+        throw new Error(`Incorrect filters value! Unknown scope "${name}" for the filter field "${key}". Allowed scopes: ${Object.keys(scopes).join(', ')}`);
+      }
 
-      // Determine the condition for this model, required to define the subQuery condition
-      const whereForRelatedField = modelField?.where;
+      const conditions = resolveScope(scopes[name], context, `the filter field "${key}" (scope "${name}")`);
 
-      // Create a query for the related model schema (relatedModelSQLField)
-      const relatedBuilderData = postgreSqlBuilder({ modelSQLField: relatedModelSQLField, fieldsData: field?.fields });
+      conditions.forEach((condition) => { binding = mergeBindings(binding, condition.binding, `the filter field "${key}"`); });
 
-      // Add the condition for this data
-      relatedBuilderData?.where?.push(whereForRelatedField);
+      const scopeQueries = conditions.filter((condition) => condition.query).map((condition) => condition.query);
 
-      // Create full query in the simple SQL builder (het SQL and bindings)
-      const subQueryData = createSqlQueryForBuilder({ ...relatedBuilderData });
+      if (!scopeQueries.length) return 'TRUE';
 
-      // Get prepared subQuery
-      let subQuery = subQueryData.preparedQuery;
+      return scopeQueries.length === 1 ? scopeQueries[0] : scopeQueries.map((query) => `(${query})`).join(' AND ');
+    });
 
-      // Check type for the subQuery and add the correct wrapper (Array)
-      if (Array.isArray(typeForRelatedField)) subQuery = `(SELECT jsonb_agg(${field?.name}_alias) FROM (${subQuery}) AS ${field?.name}_alias) AS ${field?.name}`;
+    if (!queries.length) return { query: 'FALSE', binding };
 
-      // Check type for the subQuery and add the correct wrapper (Object)
-      if (typeForRelatedField.constructor === Object) subQuery = `(SELECT to_jsonb(${field?.name}_alias) FROM (${subQuery}) AS ${field?.name}_alias) AS ${field?.name}`;
+    return { query: queries.length === 1 ? queries[0] : queries.map((query) => `(${query})`).join(' OR '), binding };
+  };
 
-      // Add this subQuery to select
-      select.add(subQuery);
+  /**
+   * Create a condition for a filter key
+   *
+   * @param key {string} filter key
+   * @param value {*} filter value (a value or an object with operators)
+   * @return {object} { query, binding }
+   */
+  const createCondition = (key, value) => {
+    // Only own keys of the rules (not constructor, toString, etc.)
+    const tableData = rules && Object.hasOwn(rules, key) ? rules[key] : null;
+
+    if (!tableData) throw new Error(`Incorrect filters value! Unknown filter field "${key}"`);
+
+    if (tableData.scopes) return createScopeCondition(key, value, tableData.scopes);
+
+    // An object is a set of operators, a typo (gtee) can't be compared as a value
+    const unknownOperator = value?.constructor === Object ? Object.keys(value).find((item) => !Object.hasOwn(FILTER_OPERATORS, item)) : null;
+
+    if (unknownOperator) {
+      throw new Error(`Incorrect filters value! Unknown operator "${unknownOperator}" for the filter field "${key}". Allowed operators: ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+    }
 
-      // Add bindings of subQuery. Transform to a string before adding to the Set
-      for (const [key, value] of Object.entries(subQueryData.bindings)) {
-        // Transform to a string before adding to the Set
-        whereBindings.add(JSON.stringify({ [key]: value }));
+    const operators = isOperatorsValue(value) ? Object.entries(value) : [['eq', value]];
+    const allowedOperators = tableData.query ? ['eq'] : tableData.operators || Object.keys(FILTER_OPERATORS);
+
+    const conditions = [];
+    const binding = {};
+
+    for (const [operator, operatorValue] of operators) {
+      if (!allowedOperators.includes(operator)) throw new Error(`Incorrect filters value! Operator "${operator}" is not allowed for the filter field "${key}"`);
+
+      // A plain value uses the filter key as a placeholder
+      const placeholder = createPlaceholder(operator === 'eq' && operators.length === 1 ? `${namespace}_${key}` : `${namespace}_${key}_${operator}`);
+
+      // If exist manual query
+      if (tableData.query) {
+        conditions.push(tableData.query.replaceAll(':value', `:${placeholder}`));
+        binding[placeholder] = operatorValue;
+        continue;
       }
 
-      // Break this loop
-      continue;
+      const column = `${tableData.table}.${tableData.field}`;
+
+      if (operator === 'isNull') {
+        conditions.push(FILTER_OPERATORS.isNull(column, null, operatorValue));
+        continue;
+      }
+
+      // An empty list can't be used in IN ()
+      if (['in', 'notIn'].includes(operator) && !operatorValue?.length) {
+        conditions.push(operator === 'in' ? 'FALSE' : 'TRUE');
+        continue;
+      }
+
+      conditions.push(FILTER_OPERATORS[operator](column, `:${placeholder}`));
+      binding[placeholder] = operatorValue;
     }
 
-    if (modelField?.select?.length) select.add(modelField?.select);
-    if (modelField?.join?.length) join.add(modelField?.join);
-    if (modelField?.where?.query) whereQuery.add(modelField?.where?.query);
+    return { query: conditions.join(' AND '), binding };
+  };
 
-    // Create the whereBindings object with all bindings
-    if (modelField?.where?.binding) {
-      for (const [key, value] of Object.entries(modelField.where.binding)) {
-        // Transform to a string before adding to the Set
-        whereBindings.add(JSON.stringify({ [key]: value }));
+  /**
+   * Create conditions for a filters object (all conditions are joined by AND)
+   *
+   * @param filtersData {object} filters
+   * @return {array} of objects { query, binding }
+   */
+  const createConditions = (filtersData) => {
+    const conditions = [];
+
+    for (const [key, value] of Object.entries(filtersData || {})) {
+      if (FILTER_GROUPS.includes(key) && !(rules && Object.hasOwn(rules, key))) {
+        conditions.push(createGroup(key, value));
+        continue;
       }
+
+      conditions.push(createCondition(key, value));
     }
-  }
 
-  // Convert Set to array
-  const whereData = {
-    query: [...whereQuery],
-    bindings: [...whereBindings]?.map((item) => JSON.parse(item))
+    return conditions;
   };
 
-  // Create the correct format for queries and bindings
-  const queries = whereData?.query?.map((item) => ({ query: item })) || [];
-  const bindings = whereData?.bindings?.reduce((acc, item) => ({ ...acc, ...item }), {}) || {};
+  /**
+   * Create a condition for a group (and, or, not)
+   *
+   * @param group {string} group name
+   * @param value {array|object} filters of the group
+   * @return {object} { query, binding }
+   */
+  const createGroup = (group, value) => {
+    if (group !== 'not' && !Array.isArray(value)) throw new Error(`Incorrect filters value! Group "${group}" has to be an array`);
+    if (group === 'not' && value?.constructor !== Object) throw new Error('Incorrect filters value! Group "not" has to be an object');
 
-  // Transform arrays to string data
-  const data = { where: [...queries], select: [...select]?.join(',\n'), join: [...join]?.join('\n') };
+    const items = group === 'not' ? [value] : value;
+    let binding = {};
 
-  if (Object.keys(bindings)?.length) data.where.push({ binding: bindings });
+    const queries = items.map((item) => {
+      const conditions = createConditions(item);
 
-  data.mainQuery = `SELECT ${data.select} FROM ${modelSQLField?.tableName} ${data.join}`;
+      conditions.forEach((condition) => { binding = { ...binding, ...condition.binding }; });
+
+      return conditions.length ? conditions.map(({ query }) => `(${query})`).join(' AND ') : 'TRUE';
+    });
+
+    if (!queries.length) return { query: group === 'or' ? 'FALSE' : 'TRUE', binding };
+    if (group === 'not') return { query: `NOT (${queries[0]})`, binding };
+
+    return { query: queries.map((query) => `(${query})`).join(group === 'or' ? ' OR ' : ' AND '), binding };
+  };
+
+  return createConditions(filters);
+};
+
+/**
+ * Search modes with functions for creating conditions
+ * Every function gets a column, a placeholder and a rule and returns a condition string
+ */
+const SEARCH_MODES = {
+  prefix: (column, placeholder) => `LOWER(${column}::text) LIKE ${placeholder}`,
+  contains: (column, placeholder) => `LOWER(${column}::text) LIKE ${placeholder}`,
+  exact: (column, placeholder) => `LOWER(${column}::text) = ${placeholder}`,
+  ilike: (column, placeholder) => `${column}::text ILIKE ${placeholder}`,
+  trigram: (column, placeholder, { threshold }) => (threshold !== undefined && threshold !== null
+    ? `similarity(${column}::text, ${placeholder}) >= ${Number(threshold)}`
+    : `${column}::text % ${placeholder}`),
+  fullText: (column, placeholder, { language = 'simple' }) => `to_tsvector('${language}', ${column}::text) @@ websearch_to_tsquery('${language}', ${placeholder})`
+};
+
+/**
+ * Escape special chars of LIKE pattern (%, _ and \)
+ *
+ * @param value {string}
+ * @return {string}
+ */
+export const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Helper for searching data that create a condition and bindings for a query
+ *
+ * P.S. Needs to add all joins (see table key) of tables when you create a query for searching data
+ *
+ * Example of rules:
+ *
+ *  const SEARCH_WITH_TABLES = {
+ *   id: {
+ *     table: 'data.users',
+ *     field: 'id',
+ *     mode: 'prefix'
+ *   },
+ *   name: {
+ *     table: 'data.users',
+ *     field: 'first_name',
+ *     mode: 'contains'
+ *   },
+ *   createdAt: {
+ *     table: 'data.users',
+ *     field: 'created_at',
+ *     query: "to_char(data.users.created_at, 'DD/MM/YYYY')",
+ *     mode: 'prefix'
+ *   },
+ *   about: {
+ *     table: 'data.users',
+ *     field: 'about',
+ *     mode: 'fullText',
+ *     language: 'english'
+ *   }
+ * };
+ *
+ * Modes:
+ *   prefix - LOWER(column) LIKE 'search%'
+ *   contains - LOWER(column) LIKE '%search%'
+ *   exact - LOWER(column) = 'search'
+ *   ilike - column ILIKE '%search%'
+ *   trigram - column % 'search' (pg_trgm similarity) or similarity(column, 'search') >= threshold if the threshold key exists (a number from 0 to 1)
+ *   fullText - to_tsvector(language, column) @@ websearch_to_tsquery(language, 'search'), the language key is 'simple' by default
+ *
+ * @param search {string} search string
+ * @param rules {object} with search rules
+ *
+ * @return {object|null} condition in the format: { query: 'Condition query string', binding: { key: value } } or null for an empty search
+ */
+export const searchHelper = ({ search, rules }) => {
+  const searchValue = typeof search === 'string' ? search.trim() : '';
+
+  if (!searchValue) return null;
+  if (!rules || !Object.keys(rules).length) throw new Error('Invalid input: searchRules are required for the search');
+
+  const lowerValue = searchValue.toLowerCase();
+
+  // Values of placeholders for every mode
+  const values = {
+    prefix: `${escapeLikePattern(lowerValue)}%`,
+    contains: `%${escapeLikePattern(lowerValue)}%`,
+    exact: lowerValue,
+    ilike: `%${escapeLikePattern(searchValue)}%`,
+    trigram: searchValue,
+    fullText: searchValue
+  };
+
+  const conditions = [];
+  const binding = {};
+
+  for (const [key, rule] of Object.entries(rules)) {
+    const mode = rule.mode || 'prefix';
+
+    if (!Object.hasOwn(SEARCH_MODES, mode)) throw new Error(`Incorrect searchRules value! Unknown search mode "${mode}" for the key "${key}"`);
+    if (rule.language && !/^\w+$/.test(rule.language)) throw new Error(`Incorrect searchRules value! Incorrect language for the key "${key}"`);
+
+    if (rule.threshold !== undefined && rule.threshold !== null && !(Number.isFinite(rule.threshold) && rule.threshold >= 0 && rule.threshold <= 1)) {
+      throw new Error(`Incorrect searchRules value! Incorrect threshold for the key "${key}", need a number from 0 to 1`);
+    }
 
-  return { mainQuery: data.mainQuery, where: data.where };
+    // All columns with the same mode use the same placeholder
+    const placeholder = `search_${mode}`;
+    const column = rule.query || `${rule.table}.${rule.field}`;
+
+    conditions.push(SEARCH_MODES[mode](column, `:${placeholder}`, rule));
+    binding[placeholder] = values[mode];
+  }
+
+  return { query: conditions.join(' OR '), binding };
 };
 
+/**
+ * Create string with conditions and bindings
+ *
+ * @param whereConditions {array} with objects { query, binding: { key: value }}
+ * @param doNotAddWhere {boolean} if true then don't need to add WHERE to a query
+ *
+ * @return {object} with two attributes: where {string}, bindings {object} { key: value }
+ */
+export const createWhereQuery = ({ whereConditions, doNotAddWhere = false }) => {
+  const conditions = [];
+  let bindings = {};
+  let where = '';
+
+  whereConditions?.forEach(({ query, binding }) => {
+    if (query) conditions.push(`(${query})`);
+    if (binding) bindings = mergeBindings(bindings, binding, 'where conditions');
+  });
+
+  if (conditions.length) where = conditions?.join(' AND ');
+
+  if (where.length) where = doNotAddWhere ? ` AND ${where}` : ` WHERE ${where}`;
+
+  return { where, bindings };
+};
+
+/**
+ * Split ORDER BY string to the list of sorting columns
+ *
+ * @param orderQuery {string} order string, for example: 'ORDER BY t.year DESC, t.month DESC NULLS LAST'
+ * @return {array} of objects in the format: [{ column: 't.year', direction: 'DESC', nulls: null }]
+ */
+export const parseOrderQuery = (orderQuery) => {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  // Split by commas which are not inside brackets
+  for (const char of orderQuery.trim().replace(/^ORDER\s+BY\s+/i, '')) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  items.push(current);
+
+  return items
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [, column, direction, nulls] = item.match(/^(.*?)(?:\s+(ASC|DESC))?(?:\s+NULLS\s+(FIRST|LAST))?$/is);
+
+      return { column: column.trim(), direction: direction?.toUpperCase() || 'ASC', nulls: nulls?.toUpperCase() || null };
+    });
+};
+
+/**
+ * Encode values of sorting columns to the opaque cursor
+ *
+ * @param keys {array} of sorting columns
+ * @param values {array} of values for the sorting columns
+ * @return {string} base64url cursor
+ */
+export const encodeCursor = (keys, values) => Buffer.from(JSON.stringify({ k: keys, v: values })).toString('base64url');
+
+/**
+ * Decode the opaque cursor
+ *
+ * @param cursor {string} base64url cursor
+ * @param keys {array} of current sorting columns (a cursor has to be created for the same sorting)
+ * @return {array} of values for the sorting columns
+ */
+export const decodeCursor = (cursor, keys) => {
+  let data;
+
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw new Error('Incorrect cursor value!');
+  }
+
+  if (!Array.isArray(data?.v) || JSON.stringify(data.k) !== JSON.stringify(keys)) {
+    throw new Error('Incorrect cursor value! The cursor does not match the current sorting');
+  }
+
+  return data.v;
+};
+
+/**
+ * Encode the offset of a record to the cursor of the offset pagination (see createConnection)
+ *
+ * @param offset {number} offset of the record
+ * @return {string} base64url cursor
+ */
+export const encodeOffsetCursor = (offset) => Buffer.from(`offset:${offset}`).toString('base64url');
+
+/**
+ * Decode the cursor of the offset pagination
+ *
+ * @param cursor {string} base64url cursor
+ * @return {number|null} offset of the record, null if the cursor is not a cursor of the offset pagination
+ */
+export const decodeOffsetCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const match = Buffer.from(cursor, 'base64url').toString().match(/^offset:(\d+)$/);
+
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Create seek condition for the keyset (cursor) pagination
+ *
+ * Conditions are created for every column: (a > :meta_cursor0 OR a IS NULL) OR (a = :meta_cursor0 AND b < :meta_cursor1)
+ * NULLs are placed like in ORDER BY (by default PostgreSQL puts NULLs last for ASC and first for DESC, or NULLS FIRST/LAST),
+ * a NULL value of the cursor is compared with IS NULL / IS NOT NULL
+ * If all columns are not nullable (nullable: false) and have the same direction uses a row comparison: (a, b) > (:meta_cursor0, :meta_cursor1)
+ *
+ * @param columns {array} of sorting columns [{ column, direction, nulls, nullable }]
+ * @param values {array} of values from the cursor
+ * @param reverse {boolean} if true then seek to the previous page (before cursor)
+ * @return {object} with condition { query, binding }
+ */
+export const createSeekCondition = ({ columns, values, reverse = false }) => {
+  const binding = {};
+
+  const items = columns.map(({ column, direction, nulls = null, nullable = true }, index) => {
+    const value = values[index] ?? null;
+    const placeholder = `:meta_cursor${index}`;
+
+    if (value !== null) binding[`meta_cursor${index}`] = value;
+
+    return {
+      column,
+      placeholder,
+      nullable,
+      isNull: value === null,
+      operator: (direction === 'DESC') !== reverse ? '<' : '>',
+      // NULLs are after the cursor value in the order of the seek
+      nullsAfter: (nulls ? nulls === 'LAST' : direction !== 'DESC') !== reverse
+    };
+  });
+
+  // Row comparison works only when all columns have the same direction and can't be NULL
+  if (new Set(items.map(({ operator }) => operator)).size === 1 && items.every(({ nullable, isNull }) => !nullable && !isNull)) {
+    const fields = items.map(({ column }) => column).join(', ');
+    const placeholders = items.map(({ placeholder }) => placeholder).join(', ');
+
+    return { query: `(${fields}) ${items[0].operator} (${placeholders})`, binding };
+  }
+
+  // Records which are after the cursor value of the column
+  const createAfterCondition = ({ column, placeholder, nullable, isNull, operator, nullsAfter }) => {
+    if (isNull) return nullsAfter ? null : `${column} IS NOT NULL`;
+
+    return nullable && nullsAfter ? `(${column} ${operator} ${placeholder} OR ${column} IS NULL)` : `${column} ${operator} ${placeholder}`;
+  };
+
+  const conditions = items.map((item, index) => {
+    const afterCondition = createAfterCondition(item);
+
+    if (!afterCondition) return null;
+
+    const equals = items.slice(0, index).map(({ column, placeholder, isNull }) => (isNull ? `${column} IS NULL` : `${column} = ${placeholder}`));
+
+    return [...equals, afterCondition].join(' AND ');
+  }).filter(Boolean);
+
+  // The cursor is the last record (NULLs are last in every column)
+  if (!conditions.length) return { query: 'false', binding };
+
+  return { query: conditions.map((condition) => `(${condition})`).join(' OR '), binding };
+};
+
+/**
+ * Create sorting columns from meta.orderBy
+ *
+ * Example of rules (keys of object have to be equal of sorting keys from a frontend):
+ *
+ *  const SORT_WITH_TABLES = {
+ *   createdAt: {
+ *     table: 'data.users',
+ *     field: 'created_at',
+ *     query: null,
+ *     nullable: false
+ *   },
+ *   name: {
+ *     table: 'data.users',
+ *     field: 'first_name',
+ *     query: 'LOWER(data.users.first_name)',
+ *     cursorKey: 'name_sort',
+ *     nulls: 'LAST'
+ *   },
+ *   city: {
+ *     table: 'data.addresses',
+ *     field: 'city',
+ *     query: null
+ *   }
+ * };
+ *
+ * @param orderBy {string|array} sorting keys, for example: 'title' or ['-createdAt', 'title', { field: 'name', order: 'ASC', nulls: 'LAST' }]
+ *                               '-' before a key means DESC, '+' - ASC. Without a prefix will be used the default order
+ * @param order {string} default order (ASC or DESC)
+ * @param nulls {string|null} default NULLS order (FIRST or LAST)
+ * @param table {string|null} table name with schema name (data.users) for sorting, is used only without rules
+ * @param rules {object|null} with sorting rules. If exist then only keys from the rules are allowed
+ *
+ * nullable - false if the column can't be NULL (the cursor pagination uses a simpler seek condition, see createSeekCondition)
+ * cursorKey - a selected field with the value of the query (LOWER(data.users.first_name) AS name_sort), it is required
+ *             for the cursor pagination by a rule with the query: the cursor has to store the value which is compared
+ * binding - bindings of placeholders in the query (for example, of aggregate fields, see createAggregateSortRules), optional
+ *
+ * @return {array} of objects in the format:
+ *                 [{ column: 'data.users.created_at', direction: 'DESC', nulls: null, key: 'created_at', nullable: false, sortKey: 'createdAt' }]
+ *                 key - a field of the selected records for the cursors (null for a rule with the query without cursorKey)
+ *                 binding - bindings of the rule query or null
+ */
+export const createSortColumns = ({ orderBy, order = 'ASC', nulls = null, table = null, rules = null }) => {
+  const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+  return items.map((item) => {
+    const isString = typeof item === 'string';
+
+    let key = isString ? item.trim() : item?.field;
+    let direction = (isString ? null : item?.order?.toUpperCase()) || order;
+
+    if (typeof key !== 'string' || !key) throw new Error('Incorrect orderBy value! Need use a string or an object with the field key!');
+
+    if (key.startsWith('-') || key.startsWith('+')) {
+      direction = key.startsWith('-') ? 'DESC' : 'ASC';
+      key = key.slice(1);
+    }
+
+    if (rules && !Object.hasOwn(rules, key)) {
+      throw new Error(`Incorrect orderBy value! Unknown sorting field "${key}". Allowed fields: ${Object.keys(rules).join(', ')}`);
+    }
+
+    const rule = rules?.[key];
+    const nullsOrder = (isString ? null : item?.nulls?.toUpperCase()) || nulls || rule?.nulls?.toUpperCase() || null;
+
+    if (!['ASC', 'DESC'].includes(direction)) throw new Error('Incorrect order value! Need use only ASC or DESC!');
+    if (nullsOrder && !['FIRST', 'LAST'].includes(nullsOrder)) throw new Error('Incorrect nulls value! Need use only FIRST or LAST!');
+
+    // Without rules use the legacy sorting by a field of the table
+    if (!rule) {
+      const field = removeSpecialSymbols(key);
+
+      return { column: table ? `${table}.${field}` : field, direction, nulls: nullsOrder, key: field };
+    }
+
+    return {
+      column: rule.query || `${rule.table}.${rule.field}`,
+      direction,
+      nulls: nullsOrder,
+      key: rule.query ? rule.cursorKey || null : rule.field,
+      nullable: rule.nullable !== false,
+      sortKey: key,
+      binding: rule.binding || null
+    };
+  });
+};
+
+/**
+ * Create ORDER BY string from sorting columns
+ *
+ * @param columns {array} of sorting columns [{ column, direction, nulls }]
+ * @return {string} order string, for example: ' ORDER BY data.users.created_at DESC NULLS LAST'
+ */
+export const createOrderQuery = (columns) => {
+  if (!columns?.length) return '';
+
+  const order = columns.map(({ column, direction, nulls }) => `${column} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`);
+
+  return ` ORDER BY ${order.join(', ')}`;
+};
+
+/**
+ * Create meta query (order, offset, etc)
+ * Needs to use as last query element
+ *
+ * @param meta {object} meta data (perPage: Int
+ *                                 offset: Int
+ *                                 order: String
+ *                                 orderBy: String or Array (see createSortColumns)
+ *                                 nulls: String (FIRST or LAST)
+ *                                 pagination: String ('offset' by default or 'cursor')
+ *                                 after: String (cursor, uses the cursor pagination)
+ *                                 before: String (cursor, uses the cursor pagination))
+ * @param table {string} table name with schema name (data.users) for sorting
+ * @param orderRaw {string} sql order string, for example:
+ *                              'ORDER BY t.year DESC, t.month DESC, t.week DESC'
+ *                          If exist then we will use this data instead meta.order/meta.orderBy/sortingTableName
+ * @param sortRules {object|null} with dictionary for sorting (see createSortColumns). If exist then only keys from the rules are allowed
+ * @param paginate {boolean} if false then only sorting is added without offset and limit (by default = true)
+ * @return {object} with attributes: sorting {string}, bindings {object} { meta_offset, meta_perPage },
+ *                  cursor {object|null} data for the cursor pagination { columns, keys, perPage, after, before, seek }
+ */
+export const createMetaQuery = (meta, table, orderRaw, sortRules = null, paginate = true) => {
+  const PER_PAGE = 25;
+  const OFFSET = 0;
+
+  let bindings = {};
+  let sorting = '';
+  let columns = [];
+  let cursor = null;
+
+  const perPage = meta?.perPage || PER_PAGE;
+
+  /**
+   * Create order query from meta
+   */
+  const sortByMetaOrder = () => {
+    const order = meta?.order?.toUpperCase() || 'ASC';
+    const nulls = meta?.nulls?.toUpperCase() || null;
+
+    if (order && !['ASC', 'DESC'].includes(order)) throw new Error('Incorrect order value! Need use only ASC or DESC!');
+
+    if (meta?.orderBy?.length) {
+      columns = createSortColumns({ orderBy: meta.orderBy, order, nulls, table, rules: sortRules });
+
+      // Queries of sort rules can have placeholders
+      columns.forEach(({ binding }) => { if (binding) bindings = mergeBindings(bindings, binding, 'sort rules'); });
+    } else {
+      // By default sort by id DESC and created_at DESC if table not null
+      if (table) {
+        columns = [
+          { column: `${table}.id`, direction: 'DESC', nulls: null, key: 'id', nullable: false },
+          { column: `${table}.created_at`, direction: 'DESC', nulls: null, key: 'created_at', nullable: false }
+        ];
+      }
+    }
+
+    sorting = createOrderQuery(columns);
+  };
+
+  /**
+   * Create order query from orderRaw
+   */
+  const sortByOrderRaw = () => {
+    sorting = ` ${orderRaw}`;
+    columns = parseOrderQuery(orderRaw);
+  };
+
+  /**
+   * Create sorting, seek condition and limit for the cursor pagination
+   */
+  const paginateByCursor = () => {
+    if (meta.after && meta.before) throw new Error('Incorrect meta value! Need use only after or before cursor!');
+    if (!columns.length) throw new Error('Cursor pagination requires sorting! Use meta.orderBy, orderRaw or sortingTableName');
+
+    // A cursor with the raw column value can't be compared with the query of a sort rule
+    const expressionColumn = columns.find(({ key, sortKey }) => sortKey && !key);
+
+    if (expressionColumn) {
+      throw new Error(`Cursor pagination requires the cursorKey of the sort rule "${expressionColumn.sortKey}" with the query (a selected field with the value of the query)`);
+    }
+
+    // Keys of a row with values for the next cursors (the column name without table alias or the whole expression)
+    const keys = columns.map(({ column, key }) => key || (/^[\w."]+$/.test(column) ? column.split('.').pop().replaceAll('"', '') : column));
+    const reverse = Boolean(meta.before);
+
+    let seek = null;
+
+    if (meta.after || meta.before) {
+      const values = decodeCursor(meta.after || meta.before, keys);
+      seek = createSeekCondition({ columns, values, reverse });
+    }
+
+    // For the previous page needs the reverse sorting. Rows will be reversed back in getCursors
+    if (reverse) {
+      const reverseDirection = { ASC: 'DESC', DESC: 'ASC' };
+      const reverseNulls = { FIRST: 'LAST', LAST: 'FIRST' };
+
+      sorting = createOrderQuery(columns.map((column) => ({
+        ...column,
+        direction: reverseDirection[column.direction],
+        nulls: reverseNulls[column.nulls] || null
+      })));
+    }
+
+    // Get one more record to know if the next page exists
+    sorting += ' LIMIT :meta_perPage + 1';
+    bindings = { ...bindings, meta_perPage: perPage };
+
+    cursor = { columns, keys, perPage, after: meta.after || null, before: meta.before || null, seek };
+  };
+
+  if (!orderRaw) sortByMetaOrder();
+  if (orderRaw) sortByOrderRaw();
+
+  if (!paginate) return { sorting, bindings, cursor };
+
+  // Cursors of the offset pagination (see createConnection) are converted to the offset and the limit
+  const offsetCursor = meta?.pagination === 'cursor' ? null : decodeOffsetCursor(meta?.after || meta?.before);
+
+  if (offsetCursor !== null) {
+    if (meta.after && meta.before) throw new Error('Incorrect meta value! Need use only after or before cursor!');
+
+    sorting += ' OFFSET :meta_offset LIMIT :meta_perPage';
+
+    // Records after the cursor or records before the cursor (the previous page can be shorter than perPage)
+    bindings = meta.after
+      ? { ...bindings, meta_perPage: perPage, meta_offset: offsetCursor + 1 }
+      : { ...bindings, meta_perPage: Math.min(perPage, offsetCursor), meta_offset: Math.max(offsetCursor - perPage, 0) };
+
+    return { sorting, bindings, cursor };
+  }
+
+  if (meta?.pagination === 'cursor' || meta?.after || meta?.before) {
+    paginateByCursor();
+
+    return { sorting, bindings, cursor };
+  }
+
+  sorting += ' OFFSET :meta_offset LIMIT :meta_perPage';
+  bindings = { ...bindings, meta_perPage: perPage };
+  bindings = meta?.offset ? { ...bindings, meta_offset: meta.offset } : { ...bindings, meta_offset: OFFSET };
+
+  return { sorting, bindings, cursor };
+};
+
+/**
+ * Create cursors for the rows of the cursor pagination
+ *
+ * The query from the cursor pagination returns one more record than perPage, it is used only to know if the next page exists
+ *
+ * @param rows {array} records from the DB received by the prepared query
+ * @param cursor {object} cursor data from createMetaQuery
+ * @return {object} - { data, cursors, nextCursor, prevCursor, hasNextPage, hasPrevPage }
+ *                    cursors - an array with the cursor of every record from data (it is created on the first access)
+ */
+export const getCursors = ({ rows = [], cursor }) => {
+  const hasMore = rows.length > cursor.perPage;
+  const data = rows.slice(0, cursor.perPage);
+
+  // The previous page was selected with the reverse sorting
+  if (cursor.before) data.reverse();
+
+  const hasNextPage = cursor.before ? true : hasMore;
+  const hasPrevPage = cursor.before ? hasMore : Boolean(cursor.after);
+
+  const createCursor = (row) => {
+    const values = cursor.keys.map((key) => {
+      if (!(key in row)) throw new Error(`Cursor pagination requires the sorting field "${key}" in the selected records`);
+
+      return row[key];
+    });
+
+    return encodeCursor(cursor.keys, values);
+  };
+
+  let cursors = null;
+
+  return {
+    data,
+    // Cursors of every record are created only if they are needed (for example, for the edges of createConnection)
+    get cursors() {
+      cursors ??= data.map(createCursor);
+
+      return cursors;
+    },
+    nextCursor: hasNextPage && data.length ? createCursor(data.at(-1)) : null,
+    prevCursor: hasPrevPage && data.length ? createCursor(data[0]) : null,
+    hasNextPage,
+    hasPrevPage
+  };
+};
+
+/**
+ * Find keywords on the top level of SQL query (not inside brackets, strings, quoted identifiers or comments)
+ *
+ * @param query {string} SQL query
+ * @param keywords {array} of keywords in upper case, for example: ['SELECT', 'FROM']
+ * @return {array} of objects in the format: [{ keyword: 'SELECT', index: 0 }]
+ */
+export const findTopLevelKeywords = (query, keywords) => {
+  const found = [];
+  let depth = 0;
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+    const next = query[index + 1];
+
+    // Skip strings and quoted identifiers
+    if (char === "'" || char === '"') {
+      index++;
+
+      while (index < query.length) {
+        if (query[index] === char && query[index + 1] === char) index += 2;
+        else if (query[index] === char) break;
+        else index++;
+      }
+
+      index++;
+      continue;
+    }
+
+    // Skip comments
+    if (char === '-' && next === '-') {
+      const end = query.indexOf('\n', index);
+      index = end === -1 ? query.length : end + 1;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = query.indexOf('*/', index + 2);
+      index = end === -1 ? query.length : end + 2;
+      continue;
+    }
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    // Check a whole word
+    if (/[A-Za-z_]/.test(char) && !/[\w$.]/.test(query[index - 1] || '')) {
+      const word = query.slice(index).match(/^[A-Za-z_][\w$]*/)[0];
+
+      if (depth === 0 && keywords.includes(word.toUpperCase())) found.push({ keyword: word.toUpperCase(), index });
+
+      index += word.length;
+      continue;
+    }
+
+    index++;
+  }
+
+  return found;
+};
+
+/**
+ * Get bindings which are used in the query
+ *
+ * @param query {string} SQL query
+ * @param bindings {object} SQL bindings
+ * @return {object} bindings only for placeholders from the query
+ */
+export const pickQueryBindings = (query, bindings = {}) => {
+  // Find bindings in the query
+  const queryBindings = new Set([...query.matchAll(/(?<!:):([\w.]+)\b/g)].map((match) => match[1]));
+
+  return [...queryBindings].reduce((acc, key) => (Object.hasOwn(bindings, key) ? { ...acc, [key]: bindings[key] } : acc), {});
+};
+
+/**
+ * Field of the window count strategy (a reserved name, so it doesn't overwrite a column of the query)
+ */
+const WINDOW_COUNT_FIELD = '__total_count';
+
+/**
+ * Find the main SELECT and its FROM on the top level of the query (for changing the selected fields of the query)
+ *
+ * UNION, INTERSECT, EXCEPT and SELECT DISTINCT are rejected, because other selected fields change the result of the query
+ *
+ * @param query {string} SQL query
+ * @param feature {string} name of the feature for errors, for example: 'facets'
+ * @param hint {string} addition to the errors of unsupported queries
+ * @return {object} - { select, from } (keywords with the index in the query, see findTopLevelKeywords)
+ */
+const findMainSelect = (query, feature, hint = '') => {
+  const keywords = findTopLevelKeywords(query, ['SELECT', 'FROM', 'UNION', 'INTERSECT', 'EXCEPT']);
+
+  if (keywords.some(({ keyword }) => ['UNION', 'INTERSECT', 'EXCEPT'].includes(keyword))) {
+    throw new Error(`UNION, INTERSECT and EXCEPT in the main query are not supported by ${feature}!${hint}`);
+  }
+
+  // The main SELECT is the last SELECT on the top level (CTEs are inside brackets)
+  const select = keywords.filter(({ keyword }) => keyword === 'SELECT').at(-1);
+  const from = keywords.find(({ keyword, index }) => keyword === 'FROM' && index > select?.index);
+
+  if (!select || !from) throw new Error(`SELECT ... FROM in the main query is required by ${feature}!`);
+
+  if (/^DISTINCT\b/i.test(query.slice(select.index + 'SELECT'.length).trimStart())) {
+    throw new Error(`SELECT DISTINCT in the main query is not supported by ${feature}!${hint}`);
+  }
+
+  return { select, from };
+};
+
+/**
+ * Add COUNT(*) OVER() to the select of the query (needs for the window count strategy)
+ *
+ * @param query {string} SQL query
+ * @param countField {string} name of the field with the total count
+ * @return {string} SQL query with the total count field
+ */
+export const addWindowCount = (query, countField = WINDOW_COUNT_FIELD) => {
+  const { from } = findMainSelect(query, 'the window count strategy', ' Use the exact count strategy');
+
+  return `${query.slice(0, from.index).trimEnd()}, COUNT(*) OVER() AS ${countField} ${query.slice(from.index)}`;
+};
+
+/**
+ * Check if meta uses the cursor pagination (cursors of the offset pagination are converted to the offset, see createMetaQuery)
+ *
+ * @param meta {object|null} meta data
+ * @return {boolean}
+ */
+const isCursorPagination = (meta) => meta?.pagination === 'cursor'
+  || (Boolean(meta?.after || meta?.before) && decodeOffsetCursor(meta.after || meta.before) === null);
+
+/**
+ * Check if COUNT(*) OVER() can be added to the query (UNION, INTERSECT, EXCEPT and SELECT DISTINCT can't use the window count)
+ *
+ * @param query {string} SQL query
+ * @return {boolean}
+ */
+const supportsWindowCount = (query) => {
+  try {
+    addWindowCount(query);
+
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Strategies for the total count of records
+ */
+const COUNT_STRATEGIES = ['exact', 'window', 'estimate', 'explainAnalyze'];
+
+/**
+ * Get exact count of SQL records
+ *
+ * @param mainQuery {string} SQL query
+ * @param bindings {object} SQL bindings for the query
+ * @param executor {object|null} database executor (see getExecutor)
+ */
+export const getExactCountRecords = async ({ mainQuery, bindings, executor = null }) => {
+  const countQuery = `SELECT count(*) AS count FROM (${mainQuery}) AS count_query`;
+
+  const db = await getExecutor(executor);
+  const countData = await db.query(countQuery, pickQueryBindings(countQuery, bindings));
+
+  return parseInt(countData?.[0]?.count || 0);
+};
+
+/**
+ * Get estimated count of SQL records (the planner estimate without the query execution)
+ *
+ * @param mainQuery {string} SQL query
+ * @param bindings {object} SQL bindings for the query
+ * @param executor {object|null} database executor (see getExecutor)
+ */
+export const getEstimatedCountRecords = async ({ mainQuery, bindings, executor = null }) => {
+  const countQuery = `EXPLAIN (FORMAT JSON) ${mainQuery}`;
+
+  const db = await getExecutor(executor);
+  const countExplain = await db.query(countQuery, pickQueryBindings(countQuery, bindings));
+
+  let queryPlan = countExplain?.[0]?.['QUERY PLAN'] ?? countExplain?.[0]?.['queryPlan'];
+  if (typeof queryPlan === 'string') queryPlan = JSON.parse(queryPlan);
+
+  const count = queryPlan?.[0]?.['Plan']?.['Plan Rows'];
+
+  if (count === undefined) throw new Error('Can not get the estimated count of records from the query plan!');
+
+  return parseInt(count);
+};
+
+/**
+ * Get count of SQL records (EXPLAIN ANALYZE)
+ *
+ * @param mainQuery {string} SQL query
+ * @param bindings {object} SQL bindings for the query
+ * @param countStrategy {string} exact, estimate or explainAnalyze (by default). The window strategy is used only in prepareSQLQuery
+ * @param executor {object|null} database executor (see getExecutor)
+ */
+export const getCountRecords = async ({ mainQuery, bindings, countStrategy = 'explainAnalyze', executor = null }) => {
+  if (countStrategy === 'exact') return getExactCountRecords({ mainQuery, bindings, executor });
+  if (countStrategy === 'estimate') return getEstimatedCountRecords({ mainQuery, bindings, executor });
+  if (countStrategy !== 'explainAnalyze') throw new Error(`Incorrect countStrategy value! Need use only ${COUNT_STRATEGIES.join(', ')}`);
+
+  const regexpRows = /rows=(\d)+/g;
+  const regexpActual = /actual rows=(\d)+/g;
+  let countQuery = `EXPLAIN (ANALYZE, TIMING OFF) ${mainQuery}`;
+
+  // Remove redundant subQueries
+  let cleanedQuery = countQuery
+    .replace(/SELECT\s+(DISTINCT\s*)?([^\s,]+).*FROM\s+(.*)(?=\s+(?:WHERE|GROUP|ORDER|LIMIT|$))/is, 'SELECT $1$2 FROM $3');
+
+  // Create new bindings for this query
+  const cleanedBindings = pickQueryBindings(cleanedQuery, bindings);
+
+  const db = await getExecutor(executor);
+  const countExplain = await db.query(cleanedQuery, cleanedBindings);
+
+  let count = (countExplain[0]['QUERY PLAN'] ?? countExplain[0]['queryPlan']).match(regexpActual);
+  count = count[0].match(regexpRows);
+
+  return parseInt(count[0].replace('rows=', ''));
+};
+
+/**
+ * Check if filters or their nested groups (and, or, not) have a filter key
+ *
+ * @param filters {object|null} filter conditions
+ * @param key {string} filter key
+ * @param rules {object} with dictionary for filtering (a group name can be a key of the rules)
+ * @return {boolean}
+ */
+const hasFilterKey = (filters, key, rules) => Object.entries(filters || {}).some(([name, value]) => name === key
+  || (FILTER_GROUPS.includes(name) && !Object.hasOwn(rules, name) && [].concat(value).some((item) => isPlainObject(item) && hasFilterKey(item, key, rules))));
+
+/**
+ * Remove a filter key from filters and from nested groups (and, or, not), so the conditions are not stricter than without the key
+ *
+ * An item of and/or groups without other keys is TRUE (see filtersHelper). A not group with the key is removed:
+ * without the key NOT (year = 2020 AND status = 'x') would become the stricter NOT (status = 'x')
+ *
+ * @param filters {object|null} filter conditions
+ * @param key {string} filter key
+ * @param rules {object} with dictionary for filtering (a group name can be a key of the rules)
+ * @return {object} filters without the key
+ */
+const removeFilterKey = (filters, key, rules) => {
+  const result = {};
+
+  for (const [name, value] of Object.entries(filters || {})) {
+    if (name === key) continue;
+
+    // Not a group or an incorrect group (filtersHelper throws the error)
+    if (!FILTER_GROUPS.includes(name) || Object.hasOwn(rules, name) || (name === 'not' ? !isPlainObject(value) : !Array.isArray(value))) {
+      result[name] = value;
+      continue;
+    }
+
+    if (name === 'not') {
+      if (!hasFilterKey(value, key, rules)) result.not = value;
+      continue;
+    }
+
+    result[name] = value.map((item) => (isPlainObject(item) ? removeFilterKey(item, key, rules) : item));
+  }
+
+  return result;
+};
+
+/**
+ * Create the query for the facet counts (count of records per value of a filter field)
+ *
+ * Every facet is counted with all conditions (where, search and filters) except its own filter (also in and/or/not groups),
+ * all facets are selected by one query (UNION ALL). Placeholders of filters of every facet use its namespace (facet_year_status):
+ *   (SELECT 'year' AS facet, to_jsonb(a.year) AS value, count(*) AS count FROM ... WHERE ... GROUP BY a.year) UNION ALL (...)
+ *
+ * @param mainQuery {string} the general SQL query
+ * @param whereConditions {array} conditions without filters (where and search)
+ * @param doNotAddWhere {boolean} if true then doesn't need to add WHERE to the query
+ * @param filters {object|null} filter conditions
+ * @param filterRules {object} with dictionary for filtering. A rule of a facet uses table.field or the facet key (an SQL expression for grouping)
+ * @param facets {array} keys of filter rules or objects { key, limit } (limit - count of values with the biggest counts)
+ * @param context {object|null} context of the request for the scopes in filters (see filtersHelper)
+ * @return {object} - { query, bindings }
+ */
+const createFacetsQuery = ({ mainQuery, whereConditions, doNotAddWhere, filters, filterRules, facets, context }) => {
+  const { select, from } = findMainSelect(mainQuery, 'facets');
+
+  // CTEs and the tables of the main query without the selected fields
+  const withQuery = mainQuery.slice(0, select.index);
+  const fromQuery = mainQuery.slice(from.index);
+
+  let bindings = {};
+
+  const queries = facets.map((facet) => {
+    const { key, limit = null } = typeof facet === 'string' ? { key: facet } : facet || {};
+    // Only own keys of the rules (not constructor, toString, etc.)
+    const rule = filterRules && typeof key === 'string' && Object.hasOwn(filterRules, key) ? filterRules[key] : null;
+
+    if (!rule) throw new Error(`Incorrect facets value! Unknown filter field "${key}"`);
+    if (rule.scopes) throw new Error(`Incorrect facets value! The filter field "${key}" with scopes can not be a facet`);
+    if (rule.query && !rule.facet) throw new Error(`Incorrect facets value! The filter field "${key}" with query needs the facet key (an SQL expression for grouping)`);
+
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error(`Incorrect facets value! Limit of the facet "${key}" has to be a positive integer`);
+    }
+
+    const column = rule.facet || `${rule.table}.${rule.field}`;
+
+    // Every facet is counted without its own filter, the filters of facets have different values, so they have own namespaces
+    const otherFilters = removeFilterKey(filters, key, filterRules);
+    const filterWhere = filtersHelper({ filters: otherFilters, rules: filterRules, namespace: `facet_${key}`, context });
+
+    const conditionsQuery = createWhereQuery({ whereConditions: [...whereConditions, ...filterWhere], doNotAddWhere });
+
+    bindings = mergeBindings(bindings, conditionsQuery.bindings, `the facet "${key}"`);
+
+    const sorting = limit ? ` ORDER BY count DESC LIMIT ${limit}` : '';
+
+    return `(SELECT '${key.replaceAll("'", "''")}' AS facet, to_jsonb(${column}) AS value, count(*) AS count ${fromQuery}${conditionsQuery.where} GROUP BY ${column}${sorting})`;
+  });
+
+  return { query: `${withQuery}${queries.join(' UNION ALL ')}`, bindings };
+};
+
+/**
+ * Group rows of the facets query by facets
+ *
+ * @param rows {array} records of the facets query [{ facet, value, count }]
+ * @param facets {array} keys of filter rules or objects { key, limit }
+ * @return {object} facets by keys, for example: { year: [{ value: 2024, count: 10 }, { value: 2023, count: 4 }] }
+ */
+const groupFacetRows = (rows, facets) => {
+  const result = Object.fromEntries(facets.map((facet) => [typeof facet === 'string' ? facet : facet.key, []]));
+
+  for (const { facet, value, count } of rows || []) result[facet]?.push({ value, count: parseInt(count) });
+
+  Object.values(result).forEach((values) => values.sort((a, b) => b.count - a.count));
+
+  return result;
+};
+
+/**
+ * Build SQL query without the execution
+ *
+ * Adding all WHERE conditions to the query
+ * Adding all filter conditions to the query
+ * Adding the search condition to the query
+ * Creating all bindings to the query
+ * Adding grouping for the query
+ * Adding sorting and limit to the query
+ *
+ * @param mainQuery {string} the general SQL query
+ * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'Condition query string', binding: { key: value } }])
+ * @param doNotAddWhere {boolean} if true then doesn't need to add WHERE to the query
+ * @param groupBy {string|null} with GROUP BY query (for example: 'GROUP BY data.users.address_id')
+ * @param meta {object} meta data (perPage: Int, offset: Int, order: String, orderBy: String,
+ *                                  pagination: String, after: String, before: String). See metaInput type
+ *                    If pagination = 'cursor' or after/before cursor exists then the keyset (cursor) pagination is used
+ * @param orderRaw {string|null} SQL order string, for example:
+ *                                 'ORDER BY t.year DESC, t.month DESC, t.week DESC'
+ *                               If exist then we will use this data instead meta.order/meta.orderBy/sortingTableName
+ * @param sortingTableName {string|null} name of a table with schema for sorting (for example: 'data.users') if meta is used
+ * @param filters {object} filter conditions (for example: { userType: "client" })
+ * @param filterRules {object} with dictionary for filtering
+ * @param search {string|null} search string (for example: 'john')
+ * @param searchRules {object|null} with dictionary for searching (see searchHelper)
+ * @param sortRules {object|null} with dictionary for sorting (see createSortColumns). If exist then only keys from the rules
+ *                                 can be used in meta.orderBy, for example: ['-createdAt', 'title']
+ * @param windowCount {boolean} add COUNT(*) OVER() AS __total_count to the select (by default = false)
+ * @param paginate {boolean} if false then only sorting is added without offset and limit (by default = true)
+ * @param context {object|null} context of the request for the scopes in filters (see filtersHelper) and the field guards
+ * @param facets {array|null} keys of filter rules for the facet counts (see createFacetsQuery)
+ * @param modelSQLField {object|null} model with field guards, keys of guarded fields are removed from filterRules and sortRules (see guardRules)
+ *
+ * @return {object} - { preparedQuery, bindings, countQuery: { query, bindings }, cursor, facetsQuery }
+ *                    countQuery - the query without sorting, limit and the seek condition (for the total count)
+ *                    cursor - data for the cursor pagination (see createMetaQuery) or null
+ *                    facetsQuery - the query for the facet counts { query, bindings } or null
+ */
+export const buildSQLQuery = ({
+                                mainQuery,
+                                where,
+                                doNotAddWhere = false,
+                                groupBy = null,
+                                meta = null,
+                                orderRaw = null,
+                                sortingTableName = null,
+                                filters = null,
+                                filterRules = null,
+                                search = null,
+                                searchRules = null,
+                                sortRules = null,
+                                windowCount = false,
+                                paginate = true,
+                                context = null,
+                                facets = null,
+                                modelSQLField = null
+                              }) => {
+  // The window count is calculated in the same query, so the query needs an additional field
+  const selectQuery = windowCount ? addWindowCount(mainQuery) : mainQuery;
+
+  // A client can't filter and sort by guarded fields of the model
+  const allowedFilterRules = guardRules({ rules: filterRules, modelSQLField, context });
+  const allowedSortRules = guardRules({ rules: sortRules, modelSQLField, context });
+
+  // Array of objects with conditions in the format: [{ query: 'Condition query string', binding: { key: value } }]
+  let whereConditions = where || [];
+
+  // A general SQL query
+  let preparedQuery = selectQuery;
+
+  // If exist filters then add them to conditions
+  if (filters) {
+    const filterWhere = filtersHelper({ filters, rules: allowedFilterRules, context });
+    whereConditions = [...whereConditions, ...filterWhere];
+  }
+
+  // If exist search then add it to conditions
+  const searchWhere = searchHelper({ search, rules: searchRules });
+  if (searchWhere) whereConditions = [...whereConditions, searchWhere];
+
+  // Create string with conditions and bindings
+  const conditionsQuery = createWhereQuery({ whereConditions, doNotAddWhere });
+
+  // Add conditions to query
+  preparedQuery += conditionsQuery.where;
+
+  // Add grouping
+  if (groupBy) preparedQuery += ` ${groupBy}`;
+
+  // Add bindings
+  let bindings = conditionsQuery.bindings;
+
+  // The query for the total count of records
+  const countQuery = { query: preparedQuery, bindings };
+
+  // Add sorting and limit to query
+  const sortingQuery = createMetaQuery(meta, sortingTableName, orderRaw, allowedSortRules, paginate);
+  const cursor = sortingQuery.cursor;
+
+  if (cursor && windowCount) throw new Error('The window count strategy can not be used with the cursor pagination!');
+
+  // The seek condition of the cursor pagination must not change the total count, so it isn't added to the count query
+  if (cursor?.seek) {
+    const seekConditionsQuery = createWhereQuery({ whereConditions: [...whereConditions, cursor.seek], doNotAddWhere });
+
+    preparedQuery = selectQuery + seekConditionsQuery.where;
+    if (groupBy) preparedQuery += ` ${groupBy}`;
+
+    bindings = seekConditionsQuery.bindings;
+  }
+
+  preparedQuery += sortingQuery.sorting;
+
+  // Create bindings for a query
+  bindings = mergeBindings(bindings, sortingQuery.bindings, 'meta');
+
+  // The query for the facet counts
+  let facetsQuery = null;
+
+  if (facets?.length) {
+    if (groupBy) throw new Error('Facets can not be used with groupBy!');
+
+    facetsQuery = createFacetsQuery({
+      mainQuery,
+      whereConditions: [...(where || []), ...(searchWhere ? [searchWhere] : [])],
+      doNotAddWhere,
+      filters,
+      filterRules: allowedFilterRules,
+      facets,
+      context
+    });
+  }
+
+  return { preparedQuery, bindings, countQuery, cursor, facetsQuery };
+};
+
+/**
+ * Prepare SQL query for execution
+ *
+ * Adding all WHERE conditions to the query
+ * Adding all filter conditions to the query
+ * Adding the search condition to the query
+ * Creating all bindings to the query
+ * Adding grouping for the query
+ * Adding sorting and limit to the query
+ * Get the count of query records
+ *
+ * @param mainQuery {string} the general SQL query
+ * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'Condition query string', binding: { key: value } }])
+ * @param doNotAddWhere {boolean} if true then doesn't need to add WHERE to the query
+ * @param groupBy {string|null} with GROUP BY query (for example: 'GROUP BY data.users.address_id')
+ * @param meta {object} meta data (perPage: Int, offset: Int, order: String, orderBy: String,
+ *                                  pagination: String, after: String, before: String). See metaInput type
+ *                    If pagination = 'cursor' or after/before cursor exists then the keyset (cursor) pagination is used
+ * @param orderRaw {string|null} SQL order string, for example:
+ *                                 'ORDER BY t.year DESC, t.month DESC, t.week DESC'
+ *                               If exist then we will use this data instead meta.order/meta.orderBy/sortingTableName
+ * @param sortingTableName {string|null} name of a table with schema for sorting (for example: 'data.users') if meta is used
+ * @param filters {object} filter conditions (for example: { userType: "client" })
+ * @param filterRules {object} with dictionary for filtering
+ * @param search {string|null} search string (for example: 'john')
+ * @param searchRules {object|null} with dictionary for searching (see searchHelper)
+ * @param sortRules {object|null} with dictionary for sorting (see createSortColumns). If exist then only keys from the rules
+ *                                 can be used in meta.orderBy, for example: ['-createdAt', 'title']
+ * @param getTotalCount {boolean} get total count records in the DB (by default = true)
+ * @param countStrategy {string} strategy for the total count (by default = 'explainAnalyze'):
+ *                                 exact - SELECT count(*) FROM (query)
+ *                                 window - COUNT(*) OVER() AS __total_count in the same query, totalCount is null,
+ *                                          use countFromRows(rows) after the query execution
+ *                                          SELECT DISTINCT, UNION, INTERSECT and EXCEPT queries use the exact count instead
+ *                                 estimate - the planner estimate (EXPLAIN without ANALYZE), the query is not executed
+ *                                 explainAnalyze - actual rows from EXPLAIN (ANALYZE, TIMING OFF)
+ * @param {object|null} rawTotalCountQuery - RAW query for the total count of records
+ *                                           Useful for showing all data (default is `null`)
+ *                                           If provided, the `getCountRecords` function will be ignored
+ *                                           If `getTotalCount` is `false`, this RAW query will be ignored
+ *                                           Example: {
+ *                                                      query: 'SELECT count(u.id) as count FROM data.users u WHERE u.type = :serviceProvider',
+ *                                                      bindings: { serviceProvider: 'serviceProvider' },
+ *                                                      countField: 'count'
+ *                                                    }
+ * @param paginate {boolean} if false then only sorting is added without offset and limit (by default = true)
+ * @param executor {object|null} database executor for the count queries { query(sql, bindings) } (see getExecutor)
+ *                               By default the global executor (setDefaultExecutor) or psql-bindings
+ * @param output {string} 'named' (by default) or 'positional' - also returns text and values with $1, $2 parameters
+ *                        for node-postgres and prepared statements (see toPositionalQuery)
+ * @param context {object|null} context of the request for the scopes in filters (see filtersHelper) and the field guards
+ * @param facets {array|null} keys of filter rules for the facet counts: ['year', 'status'] or objects { key, limit }
+ *                            Every facet is counted with the current where, search and filters except its own filter
+ * @param modelSQLField {object|null} model with field guards (see postgreSqlBuilder). Keys of filterRules and sortRules
+ *                                    which are guarded fields of the model are not allowed for the request (see guardRules)
+ *
+ * @return {object} - { preparedQuery, bindings, totalCount } and { text, values } for the positional output
+ *                    For the cursor pagination also getCursors(rows) - returns { data, nextCursor, prevCursor, hasNextPage, hasPrevPage }
+ *                    for the records received by the prepared query
+ *                    For the window count strategy also countFromRows(rows) - returns the total count from the received records
+ *                    For facets also facets - { year: [{ value: 2024, count: 10 }], status: [{ value: 'new', count: 3 }] }
+ */
+const prepareSQLQuery = async ({
+                                 mainQuery,
+                                 where,
+                                 doNotAddWhere = false,
+                                 groupBy = null,
+                                 meta = null,
+                                 orderRaw = null,
+                                 sortingTableName = null,
+                                 filters = null,
+                                 filterRules = null,
+                                 search = null,
+                                 searchRules = null,
+                                 sortRules = null,
+                                 getTotalCount = true,
+                                 countStrategy = 'explainAnalyze',
+                                 rawTotalCountQuery = null,
+                                 paginate = true,
+                                 executor = null,
+                                 output = 'named',
+                                 context = null,
+                                 facets = null,
+                                 modelSQLField = null
+                               }) => {
+  try {
+    let totalCount = 0;
+
+    if (!COUNT_STRATEGIES.includes(countStrategy)) throw new Error(`Incorrect countStrategy value! Need use only ${COUNT_STRATEGIES.join(', ')}`);
+    if (!QUERY_OUTPUTS.includes(output)) throw new Error(`Incorrect output value! Need use only ${QUERY_OUTPUTS.join(', ')}`);
+
+    // The window count is calculated in the same query
+    const useWindowCount = getTotalCount
+      && !rawTotalCountQuery
+      && countStrategy === 'window'
+      && supportsWindowCount(mainQuery)
+      && !isCursorPagination(paginate ? meta : null);
+
+    // The window count can't be added to SELECT DISTINCT and UNION queries and used with the cursor pagination,
+    // they are counted by a separate query
+    const separateCountStrategy = countStrategy === 'window' ? 'exact' : countStrategy;
+
+    // Create the query with conditions, bindings, grouping, sorting and limit
+    const { preparedQuery, bindings, countQuery, cursor, facetsQuery } = buildSQLQuery({
+      mainQuery,
+      where,
+      doNotAddWhere,
+      groupBy,
+      meta,
+      orderRaw,
+      sortingTableName,
+      filters,
+      filterRules,
+      search,
+      searchRules,
+      sortRules,
+      windowCount: useWindowCount,
+      paginate,
+      context,
+      facets,
+      modelSQLField
+    });
+
+    // Get count of records for the SQL query (without sorting and limit)
+    if (getTotalCount && !rawTotalCountQuery && !useWindowCount) {
+      totalCount = await getCountRecords({ mainQuery: countQuery.query, bindings: countQuery.bindings, countStrategy: separateCountStrategy, executor });
+    }
+
+    // The total count will be known only after the query execution (see countFromRows)
+    if (useWindowCount) totalCount = null;
+
+    // If exists RAW count query
+    if (getTotalCount && rawTotalCountQuery?.query) {
+      const db = await getExecutor(executor);
+
+      totalCount = await db.query(rawTotalCountQuery?.query, rawTotalCountQuery?.bindings);
+      totalCount = totalCount?.[0]?.[rawTotalCountQuery.countField || 'count'] || 0;
+    }
+
+    const result = createQueryOutput({ preparedQuery, bindings, totalCount }, output);
+
+    // Get the facet counts by one query
+    if (facetsQuery) {
+      const db = await getExecutor(executor);
+
+      result.facets = groupFacetRows(await db.query(facetsQuery.query, facetsQuery.bindings), facets);
+    }
+
+    if (cursor) result.getCursors = (rows) => getCursors({ rows, cursor });
+    if (useWindowCount) result.countFromRows = (rows) => parseInt(rows?.[0]?.[WINDOW_COUNT_FIELD] || 0);
+
+    return result;
+  } catch (error) {
+     throw new Error(error.message);
+  }
+};
+
+/**
+ * Execute SQL query and get records with the total count and the page info
+ *
+ * By default the records and the total count are received by one query with COUNT(*) OVER() (the window count strategy)
+ * The total count is received by a separate query only if the page is empty (the offset is bigger than the count of records),
+ * for other count strategies and for the cursor pagination (the seek condition changes records of the query)
+ *
+ * @param params {object} params of prepareSQLQuery (mainQuery, where, meta, filters, etc.), see prepareSQLQuery
+ * @param countStrategy {string} strategy for the total count (by default = 'window'), see prepareSQLQuery
+ * @param getTotalCount {boolean} get total count records in the DB (by default = true)
+ * @param executor {object|null} database executor { query(sql, bindings) } (see getExecutor)
+ *
+ * @return {Promise<object>} - { data, totalCount, pageInfo: { page, perPage, hasNext, hasPrev } }
+ *                             For the cursor pagination page is null and pageInfo also has nextCursor and prevCursor
+ *                             For facets also facets (see prepareSQLQuery)
+ */
+export const executeSQLQuery = async ({ countStrategy = 'window', getTotalCount = true, executor = null, ...params }) => {
+  try {
+    const db = await getExecutor(executor);
+    const query = await prepareSQLQuery({ ...params, countStrategy, getTotalCount, executor });
+
+    let rows = await db.query(query.preparedQuery, query.bindings);
+    let totalCount = getTotalCount ? query.totalCount : null;
+
+    // Get the total count from the received records and remove the count field from them
+    if (query.countFromRows) {
+      totalCount = query.countFromRows(rows);
+      rows = rows.map(({ [WINDOW_COUNT_FIELD]: windowCount, ...row }) => row);
+    }
+
+    const perPage = query.bindings.meta_perPage ?? null;
+    const offset = query.bindings.meta_offset ?? 0;
+
+    // An empty page doesn't have the total count field
+    if (query.countFromRows && !rows.length && offset > 0) {
+      const countQuery = await prepareSQLQuery({ ...params, countStrategy: 'exact', executor, facets: null });
+      totalCount = countQuery.totalCount;
+    }
+
+    let result;
+
+    if (query.getCursors) {
+      const { data, nextCursor, prevCursor, hasNextPage, hasPrevPage } = query.getCursors(rows);
+
+      result = {
+        data,
+        totalCount,
+        pageInfo: { page: null, perPage, hasNext: hasNextPage, hasPrev: hasPrevPage, nextCursor, prevCursor }
+      };
+    } else {
+      // Without the total count the next page is expected if the page is full
+      const hasNext = totalCount === null ? Boolean(perPage) && rows.length >= perPage : offset + rows.length < totalCount;
+
+      result = {
+        data: rows,
+        totalCount,
+        pageInfo: {
+          page: perPage ? Math.floor(offset / perPage) + 1 : 1,
+          perPage,
+          hasNext,
+          hasPrev: offset > 0
+        }
+      };
+    }
+
+    if (query.facets) result.facets = query.facets;
+
+    return result;
+  } catch (error) {
+     throw new Error(error.message);
+  }
+};
+
+/**
+ * Alias of executeSQLQuery
+ */
+export const findAndCount = executeSQLQuery;
+
+/**
+ * Get value of GraphQL argument from AST value node
+ *
+ * @param valueNode {object} GraphQL AST value node
+ * @param variables {object} GraphQL variables (info.variableValues)
+ * @return {*} argument value
+ */
+export const getGraphQlValue = (valueNode, variables = {}) => {
+  switch (valueNode?.kind) {
+    case 'Variable':
+      return variables?.[valueNode.name.value];
+    case 'IntValue':
+      return parseInt(valueNode.value, 10);
+    case 'FloatValue':
+      return parseFloat(valueNode.value);
+    case 'NullValue':
+      return null;
+    case 'ListValue':
+      return valueNode.values.map((item) => getGraphQlValue(item, variables));
+    case 'ObjectValue':
+      return valueNode.fields.reduce((acc, item) => ({ ...acc, [item.name.value]: getGraphQlValue(item.value, variables) }), {});
+    default:
+      // StringValue, BooleanValue, EnumValue
+      return valueNode?.value;
+  }
+};
+
+/**
+ * Check @skip and @include directives of GraphQL selection
+ *
+ * @param selection {object} GraphQL AST selection node (field, fragment spread or inline fragment)
+ * @param variables {object} GraphQL variables (info.variableValues)
+ * @return {boolean} true if the selection has to be included
+ */
+export const isGraphQlSelectionIncluded = (selection, variables = {}) => {
+  for (const directive of selection?.directives || []) {
+    const name = directive?.name?.value;
+    const condition = directive?.arguments?.find((item) => item?.name?.value === 'if');
+    const value = getGraphQlValue(condition?.value, variables);
+
+    if (name === 'skip' && value === true) return false;
+    if (name === 'include' && value === false) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Get all fields from graphQL query or mutation
+ *
+ * Supports named fragments (info.fragments), inline fragments, @skip/@include directives and aliases
+ * Selections with the same response key (alias or name) are merged like in GraphQL
+ * An aliased field has the alias key, for example: { name: 'answers', alias: 'lastAnswers', fields, args }
+ *
+ * @param info {object} GraphQL info object
+ * @return {array} fields data in the format: [{ name, fields, args }]
+ */
+export const getFieldsFromGraphQl = (info) => {
+  const variables = info?.variableValues;
+
+  // Extract the selection sets from the info object (the same field can be requested several times)
+  const selectionSets = (info?.fieldNodes || []).map((fieldNode) => fieldNode?.selectionSet).filter(Boolean);
+
+  // Get fields of the selection set including fields of fragments
+  const collectFields = (selectionSet, visitedFragments = new Set()) => {
+    const fields = [];
+
+    for (const selection of selectionSet?.selections || []) {
+      if (!isGraphQlSelectionIncluded(selection, variables)) continue;
+
+      if (selection?.kind === 'FragmentSpread') {
+        const fragmentName = selection.name.value;
+
+        // Every fragment is used only once in the same selection set
+        if (visitedFragments.has(fragmentName)) continue;
+        visitedFragments.add(fragmentName);
+
+        fields.push(...collectFields(info?.fragments?.[fragmentName]?.selectionSet, visitedFragments));
+        continue;
+      }
+
+      if (selection?.kind === 'InlineFragment') {
+        fields.push(...collectFields(selection.selectionSet, visitedFragments));
+        continue;
+      }
+
+      fields.push(selection);
+    }
+
+    return fields;
+  };
+
+  // Recursive function to extract fields
+  const extractFields = (selectionSets) => {
+    const fields = new Map();
+
+    for (const selection of selectionSets.flatMap((selectionSet) => collectFields(selectionSet))) {
+      const name = selection?.name?.value;
+      const alias = selection?.alias?.value;
+
+      if (name === '__typename') continue;
+
+      // The response key of the field
+      const key = alias || name;
+
+      if (!fields.has(key)) {
+        // Arguments of the field, for example: answers(first: 5, orderBy: "createdAt")
+        const args = (selection?.arguments || [])
+          .reduce((acc, item) => ({ ...acc, [item.name.value]: getGraphQlValue(item.value, variables) }), {});
+
+        fields.set(key, { name, alias, args, selectionSets: [] });
+      }
+
+      if (selection?.selectionSet) fields.get(key).selectionSets.push(selection.selectionSet);
+    }
+
+    return [...fields.values()].map(({ name, alias, args, selectionSets: fieldSelectionSets }) => {
+      const field = { name, fields: fieldSelectionSets.length ? extractFields(fieldSelectionSets) : null, args };
+
+      if (alias && alias !== name) field.alias = alias;
+
+      return field;
+    });
+  };
+
+  // Return the fields from the query
+  return extractFields(selectionSets);
+};
+
+/**
+ * Path to the node fields of Relay connection: { edges { node { ... } cursor } pageInfo { ... } }
+ */
+export const RELAY_CONNECTION_PATH = 'edges.node';
+
+/**
+ * Get another model all related fields from graphQL query or mutation
+ *
+ * fields - is all fields from graphQl schema
+ *
+ * @param info {object} GraphQL info object
+ * @param wrapperPath {string|array|null} path to the model fields in the response shape, for example: 'data', 'edges.node', ['items']
+ *                                        An empty string (or array) - the model fields are on the top level
+ *                                        By default (null) - 'data' or the Relay connection path (edges.node) if data doesn't exist
+ * @return {{fields: *}} fields data { fields }
+ */
+export const getRelatedFieldsFromGraphQl = (info, wrapperPath = null) => {
+  const fields = getFieldsFromGraphQl(info);
+
+  /**
+   * Get fields by the path
+   *
+   * @param path {string|array} path to the fields
+   * @return {array|null} fields or null if the path doesn't exist
+   */
+  const getFieldsByPath = (path) => {
+    const names = Array.isArray(path) ? path : path.split('.').filter(Boolean);
+
+    return names.reduce((acc, name) => acc?.find((field) => field.name === name)?.fields ?? null, fields);
+  };
+
+  if (wrapperPath !== null) return { fields: getFieldsByPath(wrapperPath) || [] };
+
+  const dataFields = getFieldsByPath('data') || getFieldsByPath(RELAY_CONNECTION_PATH) || [];
+
+  return { fields: dataFields };
+};
+
+/**
+ * Create Relay connection from the rows and the total count
+ *
+ * For the cursor pagination (prepareSQLQuery with getCursors) uses the keyset cursors
+ * For the offset pagination the cursor of a record is the encoded offset of this record (see encodeOffsetCursor),
+ * the cursor can be passed back as meta.after or meta.before, prepareSQLQuery converts it to the offset
+ *
+ * @param rows {array} records from the DB received by the prepared query
+ * @param totalCount {number|null} total count of records (from prepareSQLQuery)
+ * @param query {object|null} result of prepareSQLQuery (needs for the cursor pagination, for the offset pagination its offset is used)
+ * @param meta {object|null} meta data (needs offset for the offset pagination without query)
+ * @param mapRow {function|null} maps a record to the node after the cursors are created (see postgreSqlBuilder mapRow)
+ *
+ * @return {object} - { edges: [{ node, cursor }], pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor }, totalCount }
+ */
+export const createConnection = ({ rows = [], totalCount = null, query = null, meta = null, mapRow = null }) => {
+  let data = rows;
+  let cursors;
+  let hasNextPage;
+  let hasPreviousPage;
+
+  if (query?.getCursors) {
+    const page = query.getCursors(rows);
+
+    data = page.data;
+    cursors = page.cursors;
+    hasNextPage = page.hasNextPage;
+    hasPreviousPage = page.hasPrevPage;
+  } else {
+    // The offset and the limit of the prepared query (after and before cursors of the offset pagination are converted to them)
+    const offset = query?.bindings?.meta_offset ?? meta?.offset ?? 0;
+    const perPage = query?.bindings?.meta_perPage ?? meta?.perPage ?? 25;
+
+    cursors = data.map((_, index) => encodeOffsetCursor(offset + index));
+    hasNextPage = totalCount !== null ? offset + data.length < totalCount : data.length >= perPage;
+    hasPreviousPage = offset > 0;
+  }
+
+  return {
+    edges: data.map((node, index) => ({ node: mapRow ? mapRow(node) : node, cursor: cursors[index] })),
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage,
+      startCursor: cursors[0] ?? null,
+      endCursor: cursors.at(-1) ?? null
+    },
+    totalCount
+  };
+};
+
+/**
+ * Create a SQL query for the Builder
+ *
+ * @param mainQuery {string} the general SQL query
+ * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'Condition query string', binding: { key: value } }])
+ * @param output {string} 'named' (by default) or 'positional' - also returns text and values with $1, $2 parameters (see toPositionalQuery)
+ *
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+export const createSqlQueryForBuilder = ({ mainQuery, where, output = 'named' }) => {
+  // A general SQL query
+  let preparedQuery = mainQuery;
+
+  // Create string with conditions and bindings
+  const conditionsQuery = createWhereQuery({ whereConditions: where });
+
+  // Add conditions to query
+  preparedQuery += conditionsQuery.where;
+
+  // Add bindings
+  const bindings = conditionsQuery.bindings;
+
+  return createQueryOutput({ preparedQuery, bindings }, output);
+};
+
+/**
+ * Types of joins
+ */
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
+
+/**
+ * Parse join string to the join data
+ *
+ * @param query {string} join string, for example: 'LEFT JOIN data.user_settings uset ON uset.user_id = u.id'
+ * @return {object|null} - { type, table, alias, on } or null if the join can't be parsed (for example, a join with a subQuery)
+ */
+export const parseJoinQuery = (query) => {
+  const match = query.trim().match(/^(?:(INNER|LEFT|RIGHT|FULL|CROSS)\s+(?:OUTER\s+)?)?JOIN\s+([\w."]+)\s+(?:AS\s+)?([A-Za-z_]\w*)(?:\s+ON\s+(.+))?$/is);
+
+  if (!match || ['ON', 'AS'].includes(match[3].toUpperCase())) return null;
+
+  return { type: (match[1] || 'INNER').toUpperCase(), table: match[2], alias: match[3], on: match[4]?.trim() || null };
+};
+
+/**
+ * Create join graph of a model
+ *
+ * Every join is added only once by its alias
+ * If fields use the same join with INNER and LEFT types, LEFT JOIN is used (selected fields don't have to filter records)
+ * If the same alias is used for different tables or conditions, an error is thrown
+ *
+ * Joins can be declared once in the model (the joins key) and used in fields by the alias:
+ *
+ *   export const userSQLFields = {
+ *     tableName: 'data.users u',
+ *     joins: {
+ *       uset: { type: 'LEFT', table: 'data.user_settings', on: 'uset.user_id = u.id' },
+ *       a: { type: 'INNER', table: 'data.addresses', on: 'a.id = u.address_id' },
+ *       c: { type: 'LEFT', table: 'data.cities', on: 'c.id = a.city_id', dependsOn: ['a'] }
+ *     },
+ *     currency: { select: ['uset.currency'], join: ['uset'] },
+ *     city: { select: ['c.name AS city'], join: ['c'] }
+ *   };
+ *
+ * @param modelSQLField {object} model SQL fields
+ * @return {object} - { addJoin(join), getQuery() }
+ */
+export const createJoinGraph = (modelSQLField) => {
+  const modelName = modelSQLField?.tableName;
+
+  // Alias of the main table (the last word of the table name)
+  const tableAlias = modelName?.trim().split(/\s+/).pop().split('.').pop();
+
+  // Joins by aliases (raw joins which can't be parsed use the query as a key)
+  const joins = new Map();
+
+  /**
+   * Add join to the graph
+   *
+   * @param item {string|object} alias from the model joins, join string or object { type, table, alias, on }
+   * @param fieldName {string|null} name of the field which uses this join (for errors)
+   */
+  const addJoin = (item, fieldName = null) => {
+    const fieldPath = `the model "${modelName}"${fieldName ? ` (field "${fieldName}")` : ''}`;
+    let joinData;
+
+    if (typeof item === 'string' && Object.hasOwn(modelSQLField?.joins || {}, item)) {
+      const definition = modelSQLField.joins[item];
+
+      if (!definition?.table) throw new Error(`Invalid join "${item}" in ${fieldPath}: table is required`);
+
+      // Add joins which are needed for this join
+      for (const dependency of definition.dependsOn || []) addJoin(dependency, fieldName);
+
+      joinData = { type: (definition.type || 'INNER').toUpperCase(), table: definition.table, alias: item, on: definition.on || null };
+    } else if (typeof item === 'string') {
+      joinData = parseJoinQuery(item);
+
+      // A join which can't be parsed is added as is
+      if (!joinData) {
+        joins.set(item.trim(), { raw: item.trim() });
+        return;
+      }
+    } else {
+      joinData = { ...item, type: (item?.type || 'INNER').toUpperCase() };
+    }
+
+    if (!JOIN_TYPES.includes(joinData.type)) throw new Error(`Invalid join "${joinData.alias}" in ${fieldPath}: unknown join type "${joinData.type}"`);
+    if (joinData.type !== 'CROSS' && !joinData.on) throw new Error(`Invalid join "${joinData.alias}" in ${fieldPath}: the ON condition is required`);
+    if (joinData.alias === tableAlias) throw new Error(`Join alias clash in ${fieldPath}: alias "${joinData.alias}" is used by the main table`);
+
+    const existing = joins.get(joinData.alias);
+
+    if (!existing) {
+      joins.set(joinData.alias, joinData);
+      return;
+    }
+
+    const normalize = (value) => value?.replace(/\s+/g, ' ').trim();
+
+    if (existing.raw || existing.table !== joinData.table || normalize(existing.on) !== normalize(joinData.on)) {
+      throw new Error(`Join alias clash in ${fieldPath}: alias "${joinData.alias}" is already used for another join`);
+    }
+
+    if (existing.type === joinData.type) return;
+
+    // INNER and LEFT joins of the same table are merged to LEFT JOIN
+    if (['INNER', 'LEFT'].includes(existing.type) && ['INNER', 'LEFT'].includes(joinData.type)) {
+      existing.type = 'LEFT';
+      return;
+    }
+
+    throw new Error(`Join type conflict in ${fieldPath}: alias "${joinData.alias}" is used with ${existing.type} and ${joinData.type} joins`);
+  };
+
+  /**
+   * Get joins string for the query
+   *
+   * @return {string}
+   */
+  const getQuery = () => [...joins.values()]
+    .map(({ raw, type, table, alias, on }) => raw || `${type} JOIN ${table} ${alias}${on ? ` ON ${on}` : ''}`)
+    .join('\n');
+
+  return { addJoin, getQuery };
+};
+
+/**
+ * Create conditions, sorting and limit for a relation subQuery from the field arguments
+ *
+ * Arguments: filters, orderBy, order, nulls, first (or limit), offset
+ * The relation field uses the same rules as prepareSQLQuery: filterRules for filters and sortRules for orderBy
+ *
+ * @param name {string} field name
+ * @param modelField {object} relation field from the model ({ relation, type, where, filterRules, sortRules, maxLimit })
+ * @param args {object} field arguments, for example: { first: 5, orderBy: '-createdAt', filters: { score: { gte: 4 } } }
+ * @param context {object|null} context of the request, keys of guarded fields of the related model are removed from the rules (see guardRules)
+ *
+ * @return {object} - { where: [{ query, binding }], sorting: string }
+ */
+export const createRelationArgsQuery = ({ name, modelField, args = {}, context = null }) => {
+  const where = [];
+  let sorting = '';
+
+  if (args?.filters && Object.keys(args.filters).length) {
+    if (!modelField?.filterRules) throw new Error(`Invalid input: filterRules are required for filtering the relation "${name}"`);
+
+    const rules = guardRules({ rules: modelField.filterRules, modelSQLField: modelField.relation, context });
+
+    where.push(...filtersHelper({ filters: args.filters, rules, context }));
+  }
+
+  if (args?.orderBy?.length) {
+    if (!modelField?.sortRules) throw new Error(`Invalid input: sortRules are required for sorting the relation "${name}"`);
+
+    const order = args.order?.toUpperCase() || 'ASC';
+    const nulls = args.nulls?.toUpperCase() || null;
+
+    const rules = guardRules({ rules: modelField.sortRules, modelSQLField: modelField.relation, context });
+
+    const columns = createSortColumns({ orderBy: args.orderBy, order, nulls, rules });
+
+    // Bindings of the sort rule queries are added to the subquery with the conditions
+    columns.forEach(({ binding }) => { if (binding) where.push({ binding }); });
+
+    sorting = createOrderQuery(columns);
+  }
+
+  const limit = args?.first ?? args?.limit;
+  const offset = args?.offset;
+
+  if (limit !== undefined && limit !== null) {
+    if (!Number.isInteger(limit) || limit < 0) throw new Error(`Incorrect limit value for the relation "${name}"! Need use a positive integer`);
+    if (modelField?.maxLimit && limit > modelField.maxLimit) throw new Error(`Incorrect limit value for the relation "${name}"! Maximum is ${modelField.maxLimit}`);
+
+    sorting += ` LIMIT ${limit}`;
+  } else if (modelField?.maxLimit) {
+    sorting += ` LIMIT ${modelField.maxLimit}`;
+  }
+
+  if (offset !== undefined && offset !== null) {
+    if (!Number.isInteger(offset) || offset < 0) throw new Error(`Incorrect offset value for the relation "${name}"! Need use a positive integer`);
+
+    sorting += ` OFFSET ${offset}`;
+  }
+
+  return { where, sorting };
+};
+
+/**
+ * Convert a field name to the column name in snake_case (answersCount => answers_count)
+ *
+ * @param name {string} field name
+ * @return {string} column name
+ */
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`);
+
+/**
+ * Convert a column name to the field name in camelCase (answers_count => answersCount)
+ *
+ * @param name {string} column name
+ * @return {string} field name
+ */
+const toCamelCase = (name) => name.replace(/_+([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+/**
+ * Aggregate functions for the aggregate fields of models
+ */
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * Check the aggregate field of a model
+ *
+ * @param name {string} name of the model field (for errors)
+ * @param modelField {object} aggregate field (see createAggregateQuery)
+ * @return {object} - { aggregate, table }
+ */
+const checkAggregateField = ({ name, modelField }) => {
+  const aggregate = modelField?.aggregate?.toLowerCase();
+  const table = typeof modelField?.relation === 'string' ? modelField.relation : modelField?.relation?.tableName;
+
+  if (!AGGREGATES.includes(aggregate)) throw new Error(`Incorrect aggregate value for the field "${name}"! Need use only ${AGGREGATES.join(', ')}`);
+  if (!table) throw new Error(`Invalid input: relation is required for the aggregate field "${name}"`);
+  if (!modelField.field && aggregate !== 'count') throw new Error(`Invalid input: field is required for the aggregate field "${name}"`);
+
+  return { aggregate, table };
+};
+
+/**
+ * Create a correlated subquery for the aggregate field of a model
+ *
+ * The subquery is an SQL expression, so it can be used in SELECT, WHERE, HAVING and ORDER BY
+ *
+ * @param name {string} name of the model field (for errors)
+ * @param modelField {object} aggregate field in the format:
+ *                            {
+ *                              aggregate: 'count' | 'sum' | 'avg' | 'min' | 'max',
+ *                              relation: answerSQLFields (or table name with alias: 'data.answers an'),
+ *                              field: 'an.score' (optional for count, by default '*'),
+ *                              where: { query: 'an.feedback_id = f.id', binding: {} },
+ *                              scopes: ['published'] (optional, named scopes of the relation model),
+ *                              unscoped: true (optional, the default scope of the relation model is not applied)
+ *                            }
+ * @param context {object|null} context of the request, scopes of the relation model are applied (see getScopeConditions)
+ * @return {object} - { query, binding }, for example: { query: '(SELECT count(*) FROM data.answers an WHERE an.feedback_id = f.id)', binding: null }
+ */
+export const createAggregateQuery = ({ name, modelField, context = null }) => {
+  const { aggregate, table } = checkAggregateField({ name, modelField });
+
+  // Conditions of the field and the scope of the relation model
+  const conditions = [
+    modelField.where,
+    ...getScopeConditions({ modelSQLField: modelField.relation, context, scopes: modelField.scopes, unscoped: modelField.unscoped })
+  ];
+  const queries = conditions.filter((condition) => condition?.query).map((condition) => condition.query);
+
+  const binding = conditions.reduce((acc, condition) => (
+    condition?.binding ? mergeBindings(acc || {}, condition.binding, `the aggregate field "${name}"`) : acc
+  ), null);
+
+  let where = '';
+
+  if (queries.length === 1) where = ` WHERE ${queries[0]}`;
+  if (queries.length > 1) where = ` WHERE ${queries.map((query) => `(${query})`).join(' AND ')}`;
+
+  return {
+    query: `(SELECT ${aggregate}(${modelField.field || '*'}) FROM ${table}${where})`,
+    binding
+  };
+};
+
+/**
+ * Create sort rules for the aggregate fields of a model (see createSortColumns)
+ *
+ * Example:
+ *   sortRules: { ...SORT_WITH_TABLES, ...createAggregateSortRules(feedbackSQLFields) }
+ *   meta: { orderBy: '-answersCount' }
+ *
+ * @param modelSQLField {object} model with aggregate fields
+ * @param context {object|null} context of the request for the scopes of the relation models (see getScopeConditions)
+ * @return {object} sort rules by names of the aggregate fields { query, binding, cursorKey }
+ */
+export const createAggregateSortRules = (modelSQLField, context = null) => Object.entries(modelSQLField || {}).reduce((acc, [name, modelField]) => {
+  if (!modelField?.aggregate) return acc;
+
+  const { query, binding } = createAggregateQuery({ name, modelField, context });
+
+  // The column name of the selected aggregate is used for the cursors of the cursor pagination
+  return { ...acc, [name]: { query, binding, cursorKey: toSnakeCase(name) } };
+}, {});
+
+/**
+ * Keys of a model which are not fields
+ */
+const MODEL_KEYS = ['tableName', 'joins', 'writable', 'scope', 'defaultScope', 'scopes'];
+
+/**
+ * Keys of a model field
+ */
+const MODEL_FIELD_KEYS = [
+  'select', 'join', 'where', 'relation', 'type', 'filterRules', 'sortRules', 'maxLimit', 'aggregate', 'field', 'guard', 'scopes', 'unscoped'
+];
+
+/**
+ * Types of scalar fields of a model, the values of the result rows are coerced by the type (see createRowMapper)
+ */
+const FIELD_VALUE_TYPES = {
+  string: (value) => String(value),
+  number: (value) => Number(value),
+  integer: (value) => parseInt(value, 10),
+  boolean: (value) => value === true || ['t', 'true', '1'].includes(String(value).toLowerCase()),
+  date: (value) => (value instanceof Date ? value : new Date(value)),
+  json: (value) => (typeof value === 'string' ? JSON.parse(value) : value)
+};
+
+/**
+ * Default types of the aggregate fields (count is bigint, sum and avg are numeric, PostgreSQL returns them as strings)
+ */
+const AGGREGATE_VALUE_TYPES = { count: 'integer', sum: 'number', avg: 'number' };
+
+/**
+ * Check if the value is a plain object
+ *
+ * @param value {*} value
+ * @return {boolean}
+ */
+const isPlainObject = (value) => Boolean(value) && value.constructor === Object;
+
+/**
+ * Validate the model definition (see postgreSqlBuilder)
+ *
+ * Checks the table name, joins, writable columns and every field (select, join, where, relation with type, aggregate, etc.)
+ * Related models are validated too (self-referencing relations are validated once)
+ *
+ * @param modelSQLField {object} model
+ * @param validated {Set} models which are already validated
+ * @return {object} the same model
+ */
+export const validateModel = (modelSQLField, validated = new Set()) => {
+  if (!isPlainObject(modelSQLField)) throw new Error('Invalid model: the model must be an object');
+  if (validated.has(modelSQLField)) return modelSQLField;
+
+  validated.add(modelSQLField);
+
+  const modelName = modelSQLField.tableName;
+
+  if (typeof modelName !== 'string' || !modelName.trim()) throw new Error('Invalid model: tableName is required');
+
+  const fail = (fieldName, message) => {
+    throw new Error(`Invalid model "${modelName}"${fieldName ? ` (field "${fieldName}")` : ''}: ${message}`);
+  };
+
+  const joins = modelSQLField.joins || {};
+
+  if (!isPlainObject(joins)) fail(null, 'joins must be an object');
+
+  for (const [alias, definition] of Object.entries(joins)) {
+    if (typeof definition?.table !== 'string') fail(null, `table is required for the join "${alias}"`);
+    if (definition.type && !JOIN_TYPES.includes(definition.type.toUpperCase())) fail(null, `type of the join "${alias}" must be one of ${JOIN_TYPES.join(', ')}`);
+
+    for (const dependency of definition.dependsOn || []) {
+      if (!Object.hasOwn(joins, dependency)) fail(null, `the join "${alias}" depends on the unknown join "${dependency}"`);
+    }
+  }
+
+  if (modelSQLField.scope !== undefined && typeof modelSQLField.scope !== 'function') fail(null, 'scope must be a function (context) => condition');
+
+  const isScope = (scope) => typeof scope === 'function' || isPlainObject(scope) || Array.isArray(scope);
+
+  if (modelSQLField.defaultScope !== undefined && !isScope(modelSQLField.defaultScope)) {
+    fail(null, 'defaultScope must be a condition { query, binding }, an array of conditions or a function (context) => condition');
+  }
+
+  if (modelSQLField.scopes !== undefined) {
+    if (!isPlainObject(modelSQLField.scopes)) fail(null, 'scopes must be an object with named scopes');
+
+    for (const [name, scope] of Object.entries(modelSQLField.scopes)) {
+      if (!isScope(scope)) fail(null, `the scope "${name}" must be a condition { query, binding }, an array of conditions or a function (context) => condition`);
+    }
+  }
+
+  if (modelSQLField.writable !== undefined) {
+    if (!isPlainObject(modelSQLField.writable)) fail(null, 'writable must be an object with columns by field names');
+
+    for (const [field, column] of Object.entries(modelSQLField.writable)) {
+      if (typeof column !== 'string' || !column) fail(null, `the writable field "${field}" needs a column name`);
+    }
+  }
+
+  for (const [fieldName, modelField] of Object.entries(modelSQLField)) {
+    if (MODEL_KEYS.includes(fieldName)) continue;
+
+    if (!isPlainObject(modelField)) fail(fieldName, 'the field must be an object');
+
+    const unknownKeys = Object.keys(modelField).filter((key) => !MODEL_FIELD_KEYS.includes(key));
+
+    if (unknownKeys.length) fail(fieldName, `unknown keys ${unknownKeys.join(', ')}`);
+    if (!['select', 'join', 'where', 'relation', 'aggregate'].some((key) => modelField[key])) fail(fieldName, 'select, relation or aggregate is required');
+
+    if (modelField.select && (!Array.isArray(modelField.select) || modelField.select.some((item) => typeof item !== 'string'))) {
+      fail(fieldName, 'select must be an array of strings');
+    }
+
+    if (modelField.join && (!Array.isArray(modelField.join) || modelField.join.some((item) => typeof item !== 'string' && !item?.table))) {
+      fail(fieldName, 'join must be an array of join aliases, join strings or objects { type, table, alias, on }');
+    }
+
+    if (modelField.where) {
+      if (!isPlainObject(modelField.where)) fail(fieldName, 'where must be an object { query, binding }');
+      if (modelField.where.query !== undefined && typeof modelField.where.query !== 'string') fail(fieldName, 'where.query must be a string');
+      if (modelField.where.binding !== undefined && !isPlainObject(modelField.where.binding)) fail(fieldName, 'where.binding must be an object');
+    }
+
+    if (modelField.guard !== undefined && typeof modelField.guard !== 'function') fail(fieldName, 'guard must be a function (context) => access');
+
+    // The type of a relation is {} or [], the type of other fields is a value type
+    if (modelField.type !== undefined && (modelField.aggregate || !modelField.relation) && !Object.hasOwn(FIELD_VALUE_TYPES, modelField.type)) {
+      fail(fieldName, `type must be one of ${Object.keys(FIELD_VALUE_TYPES).join(', ')}`);
+    }
+
+    if (modelField.scopes !== undefined) {
+      const relationScopes = isPlainObject(modelField.relation) ? modelField.relation.scopes || {} : {};
+      const unknownScopes = Array.isArray(modelField.scopes) ? modelField.scopes.filter((name) => !Object.hasOwn(relationScopes, name)) : null;
+
+      if (!unknownScopes) fail(fieldName, 'scopes must be an array of scope names of the relation model');
+      if (unknownScopes.length) fail(fieldName, `unknown scopes ${unknownScopes.join(', ')} of the relation model`);
+    }
+
+    if (modelField.maxLimit !== undefined && (!Number.isInteger(modelField.maxLimit) || modelField.maxLimit < 1)) {
+      fail(fieldName, 'maxLimit must be a positive integer');
+    }
+
+    if (modelField.aggregate) {
+      try {
+        checkAggregateField({ name: fieldName, modelField });
+      } catch (error) {
+        fail(fieldName, error.message.replace(/^Invalid input: /, ''));
+      }
+
+      continue;
+    }
+
+    if (modelField.relation) {
+      if (!isPlainObject(modelField.relation)) fail(fieldName, 'relation must be a model');
+      if (!Array.isArray(modelField.type) && !isPlainObject(modelField.type)) fail(fieldName, 'type is required for the relation ({} or [])');
+
+      validateModel(modelField.relation, validated);
+    }
+  }
+
+  return modelSQLField;
+};
+
+/**
+ * Define the model (validates the model definition once, see validateModel)
+ *
+ * Example:
+ *   export const userSQLFields = defineModel({ tableName: 'data.users u', id: { select: ['u.id'] } });
+ *
+ * @param modelSQLField {object} model
+ * @return {object} the same model
+ */
+export const defineModel = (modelSQLField) => validateModel(modelSQLField);
+
+/**
+ * Get scope conditions of a model
+ *
+ * scope - row-level conditions (tenant, owner, etc.), they are applied always:
+ *   scope: (context) => ({ query: 'u.tenant_id = :tenantId', binding: { tenantId: context.tenantId } })
+ * defaultScope - conditions which are applied if the query is not unscoped:
+ *   defaultScope: { query: 'u.deleted_at IS NULL' }
+ * scopes - named scopes which are applied by names:
+ *   scopes: { active: { query: 'u.active = true' }, mine: (context) => ({ query: 'u.id = :userId', binding: { userId: context.userId } }) }
+ *
+ * Every scope can be a condition { query, binding }, an array of conditions or a function (context) => condition
+ *
+ * @param modelSQLField {object} model
+ * @param context {object|null} context of the request (user, tenant, etc.)
+ * @param scopes {array} names of the scopes from the scopes key of the model
+ * @param unscoped {boolean} if true then the default scope is not applied (by default = false)
+ * @return {array} of objects with WHERE conditions and bindings ([{ query, binding }])
+ */
+export const getScopeConditions = ({ modelSQLField, context = null, scopes = [], unscoped = false }) => {
+  const conditions = [];
+
+  const errorPath = `the model "${modelSQLField?.tableName}"`;
+
+  if (modelSQLField?.scope) conditions.push(...resolveScope(modelSQLField.scope, context, errorPath));
+  if (modelSQLField?.defaultScope && !unscoped) conditions.push(...resolveScope(modelSQLField.defaultScope, context, `${errorPath} (defaultScope)`));
+
+  for (const name of scopes || []) {
+    if (!Object.hasOwn(modelSQLField?.scopes || {}, name)) {
+      throw new Error(`Unknown scope "${name}" in the model "${modelSQLField?.tableName}". Allowed scopes: ${Object.keys(modelSQLField?.scopes || {}).join(', ')}`);
+    }
+
+    conditions.push(...resolveScope(modelSQLField.scopes[name], context, `${errorPath} (scope "${name}")`));
+  }
+
+  return conditions;
+};
+
+/**
+ * Access values of the field guard
+ */
+const FIELD_ACCESS = ['allow', 'hide', 'null', 'reject'];
+
+/**
+ * Get access to the field by its guard
+ *
+ * The guard of a field is a function (context) => access:
+ *   true or 'allow' - the field is selected
+ *   'hide' - the field is not selected
+ *   'null' - the field is selected as NULL
+ *   false (or another falsy value) or 'reject' - an error is thrown
+ *
+ * @param modelField {object} field of a model
+ * @param context {object|null} context of the request (user, tenant, etc.)
+ * @param errorPath {string} the model and the field path (for errors)
+ * @param throwOnReject {boolean} if false then 'reject' is returned instead of the error (by default = true)
+ * @return {string} allow, hide, null (or reject)
+ */
+const getFieldAccess = ({ modelField, context, errorPath, throwOnReject = true }) => {
+  if (!modelField?.guard) return 'allow';
+
+  const result = modelField.guard(context);
+  const access = result === true ? 'allow' : (result || 'reject');
+
+  if (!FIELD_ACCESS.includes(access)) throw new Error(`Incorrect guard value in ${errorPath}! Need use only true, false, ${FIELD_ACCESS.join(', ')}`);
+  if (access === 'reject' && throwOnReject) throw new Error(`Access denied to the field in ${errorPath}`);
+
+  return access;
+};
+
+/**
+ * Remove keys of filter or sort rules which are guarded fields of the model
+ *
+ * A key of the rules is a field name of the model. If the guard of the field returns 'hide', 'null' or 'reject',
+ * the key is removed: filtering or sorting by a value which the client can't select would reveal this value
+ * Keys which are not fields of the model (or fields without guards) are not changed
+ *
+ * @param rules {object|null} filter rules (see filtersHelper) or sort rules (see createSortColumns)
+ * @param modelSQLField {object|null} model with field guards (see postgreSqlBuilder)
+ * @param context {object|null} context of the request for the guards
+ * @return {object|null} rules without the guarded keys
+ */
+export const guardRules = ({ rules, modelSQLField, context = null }) => {
+  if (!rules || !modelSQLField) return rules;
+
+  return Object.fromEntries(Object.entries(rules).filter(([key]) => {
+    const modelField = !MODEL_KEYS.includes(key) && Object.hasOwn(modelSQLField, key) ? modelSQLField[key] : null;
+    const errorPath = `the model "${modelSQLField.tableName}" (field "${key}")`;
+
+    return getFieldAccess({ modelField, context, errorPath, throwOnReject: false }) === 'allow';
+  }));
+};
+
+/**
+ * Get the column name of a select item (u.email => email, COALESCE(u.locale, 'en') AS locale => locale)
+ *
+ * @param item {string} select item
+ * @return {string|null} column name
+ */
+const getSelectAlias = (item) => {
+  const asMatch = item.match(/\s+AS\s+("[^"]+"|\w+)\s*$/i);
+
+  return asMatch ? asMatch[1] : item.trim().match(/("[^"]+"|\w+)$/)?.[1] ?? null;
+};
+
+/**
+ * Get the column name of a field in the result rows
+ *
+ * Unquoted names are in lower case (PostgreSQL folds them). If the field selects several columns,
+ * the column with the name of the field (firstName or first_name) is used, otherwise the first column
+ *
+ * @param name {string} field name
+ * @param selectItems {array} select items of the field
+ * @return {string|null} column name
+ */
+const getFieldColumn = (name, selectItems) => {
+  const columns = selectItems.map((item) => {
+    const column = getSelectAlias(item) || toSnakeCase(name);
+
+    return column.startsWith('"') ? column.slice(1, -1) : column.toLowerCase();
+  });
+
+  return columns.find((column) => [name.toLowerCase(), toSnakeCase(name)].includes(column)) || columns[0] || null;
+};
+
+/**
+ * Create the function which maps a result row to the fields of the response
+ *
+ * Columns of fields are renamed to the field names (or GraphQL aliases), values are coerced by the field types,
+ * relations are mapped recursively by the row mappers of the related models. An empty relation is [] for the type [] and null for the type {}
+ * Other columns of the row (not fields of the model) get names in camelCase
+ *
+ * @param mappings {array} fields of the model [{ key, column, type, relation: { many, mapRow } }]
+ * @return {function} mapRow(row) - returns the mapped row
+ */
+const createRowMapper = (mappings) => {
+  const columns = new Set(mappings.map(({ column }) => column));
+
+  const mapRelation = (value, { many, mapRow }) => {
+    // Some drivers return jsonb as a string
+    const data = typeof value === 'string' ? JSON.parse(value) : value;
+
+    if (many) return (data || []).map((item) => mapRow(item));
+
+    return data ? mapRow(data) : null;
+  };
+
+  const mapRow = (row) => {
+    if (!row) return null;
+
+    const result = {};
+
+    for (const { key, column, type, relation } of mappings) {
+      const value = row[column] ?? null;
+
+      if (relation) {
+        result[key] = mapRelation(value, relation);
+
+        continue;
+      }
+
+      result[key] = value === null || !type ? value : FIELD_VALUE_TYPES[type](value);
+    }
+
+    for (const [column, value] of Object.entries(row)) {
+      if (!columns.has(column) && !Object.hasOwn(result, toCamelCase(column))) result[toCamelCase(column)] = value;
+    }
+
+    return result;
+  };
+
+  return mapRow;
+};
+
+/**
+ * Modes for the unknown fields of postgreSqlBuilder
+ */
+const UNKNOWN_FIELDS_MODES = ['lenient', 'strict'];
+
+/**
+ * Build the query data of a model (is used by postgreSqlBuilder for the model and for every related model)
+ *
+ * @param modelSQLField {object} model (see postgreSqlBuilder)
+ * @param fields {array} fields of the model (see postgreSqlBuilder fieldsData)
+ * @param limits {object} - { maxDepth, maxRelations, unknownFields } (see postgreSqlBuilder)
+ * @param path {array} field path of the model from the root model (for errors and the depth)
+ * @param counter {object} - { relations } count of relations in the whole query
+ * @param context {object|null} context of the request for guards and scopes
+ * @param scopes {array} names of the scopes of the model
+ * @param unscoped {boolean} if true then the default scope of the model is not applied
+ * @return {object} - { mainQuery, where, mapRow }
+ *                    mapRow - maps a result row to the fields of the response (see createRowMapper)
+ */
+const buildModelQuery = ({ modelSQLField, fields, limits, path, counter, context, scopes = [], unscoped = false }) => {
+  const select = new Set();
+  const joinGraph = createJoinGraph(modelSQLField);
+  const whereQuery = new Set();
+  const mappings = [];
+  let whereBindings = {};
+
+  // Try to get all SQL queries schema for every field
+  for (const field of fields) {
+    const modelField = MODEL_KEYS.includes(field?.name) ? undefined : modelSQLField?.[field?.name];
+    const fieldPath = [...path, field?.alias || field?.name];
+    const errorPath = `the model "${modelSQLField?.tableName}" (field path "${fieldPath.join('.')}")`;
+
+    // GraphQL meta fields (__typename) are not columns
+    if (field?.name?.startsWith('__')) continue;
+
+    // Unknown fields are skipped (lenient) or rejected (strict)
+    if (!modelField) {
+      if (limits.unknownFields === 'strict') throw new Error(`Unknown field "${field?.name}" in ${errorPath}`);
+
+      continue;
+    }
+
+    // Field-level authorization: the field can be hidden, selected as NULL or rejected (see getFieldAccess)
+    const access = getFieldAccess({ modelField, context, errorPath });
+
+    if (access === 'hide') continue;
+
+    // The key of the field in the mapped rows
+    const fieldKey = field?.alias || field?.name;
+
+    if (access === 'null') {
+      const columnAlias = field?.alias ? `"${field.alias}"` : null;
+      const isRelation = Boolean(!modelField.aggregate && modelField.relation && field?.fields?.length);
+
+      if (modelField.aggregate) {
+        select.add(`NULL AS ${columnAlias || toSnakeCase(field?.name)}`);
+        mappings.push({ key: fieldKey, column: field?.alias || toSnakeCase(field?.name) });
+      }
+
+      if (isRelation) {
+        select.add(`NULL AS ${columnAlias || field?.name}`);
+        mappings.push({ key: fieldKey, column: field?.alias || field?.name.toLowerCase(), relation: { many: Array.isArray(modelField.type) } });
+      }
+
+      // Every column of the select is NULL (u.email => NULL AS email)
+      if (!modelField.aggregate && !isRelation && modelField.select?.length) {
+        modelField.select.forEach((item) => select.add(`NULL AS ${getSelectAlias(item) || toSnakeCase(field?.name)}`));
+        mappings.push({ key: fieldKey, column: getFieldColumn(field?.name, modelField.select) });
+      }
+
+      continue;
+    }
+
+    // Check if this field is related to another model (use fields from the related model)
+    if (field?.fields?.length && modelField?.relation) {
+      // Retrieve the related model schema
+      const relatedModelSQLField = modelField?.relation;
+
+      // Determine the type for this model, needed to understand what kind of subQuery to create
+      const typeForRelatedField = modelField?.type;
+
+      if (!Array.isArray(typeForRelatedField) && !isPlainObject(typeForRelatedField)) {
+        throw new Error(`Invalid relation in ${errorPath}: type is required ({} or [])`);
+      }
+
+      // Limits for the nested relations (a deep or a wide GraphQL query can't produce a huge SQL query)
+      counter.relations++;
+
+      if (limits.maxDepth !== null && fieldPath.length > limits.maxDepth) {
+        throw new Error(`The query is too deep in ${errorPath}: maximum depth is ${limits.maxDepth}`);
+      }
+
+      if (limits.maxRelations !== null && counter.relations > limits.maxRelations) {
+        throw new Error(`The query has too many relations in ${errorPath}: maximum is ${limits.maxRelations}`);
+      }
+
+      // Determine the condition for this model, required to define the subQuery condition
+      const whereForRelatedField = modelField?.where;
+
+      // Create a query for the related model schema (relatedModelSQLField)
+      const relatedBuilderData = buildModelQuery({
+        modelSQLField: relatedModelSQLField,
+        fields: field?.fields,
+        limits,
+        path: fieldPath,
+        counter,
+        context,
+        scopes: modelField.scopes,
+        unscoped: modelField.unscoped
+      });
+
+      // Create conditions, sorting and limit from the field arguments (filters, orderBy, first, offset)
+      const argsQuery = createRelationArgsQuery({ name: field?.alias || field?.name, modelField, args: field?.args, context });
+
+      // Add the condition for this data
+      relatedBuilderData?.where?.push(whereForRelatedField, ...argsQuery.where);
+
+      // Create full query in the simple SQL builder (het SQL and bindings)
+      const subQueryData = createSqlQueryForBuilder({ ...relatedBuilderData });
+
+      // The response key of the field (the same relation can be requested several times with different aliases)
+      // Aliases are quoted to keep the case of the GraphQL alias (resolver can use parent[info.path.key])
+      const columnAlias = field?.alias ? `"${field.alias}"` : field?.name;
+
+      // Placeholders of the subQuery get the namespace of the relation (:userId => :author__userId),
+      // so bindings of different relations can't overwrite each other
+      const namespacedSubQuery = namespacePlaceholders(subQueryData.preparedQuery + argsQuery.sorting, subQueryData.bindings, fieldKey);
+
+      // Get prepared subQuery with sorting and limit
+      let subQuery = namespacedSubQuery.query;
+
+      // Check type for the subQuery and add the correct wrapper (Array)
+      if (Array.isArray(typeForRelatedField)) subQuery = `(SELECT jsonb_agg(${fieldKey}_alias) FROM (${subQuery}) AS ${fieldKey}_alias) AS ${columnAlias}`;
+
+      // Check type for the subQuery and add the correct wrapper (Object)
+      if (isPlainObject(typeForRelatedField)) subQuery = `(SELECT to_jsonb(${fieldKey}_alias) FROM (${subQuery}) AS ${fieldKey}_alias) AS ${columnAlias}`;
+
+      // Add this subQuery to select
+      select.add(subQuery);
+
+      // Records of the relation are mapped by the row mapper of the related model
+      mappings.push({
+        key: fieldKey,
+        column: field?.alias || field?.name.toLowerCase(),
+        relation: { many: Array.isArray(typeForRelatedField), mapRow: relatedBuilderData.mapRow }
+      });
+
+      // Add bindings of subQuery
+      whereBindings = mergeBindings(whereBindings, namespacedSubQuery.bindings, `the model "${modelSQLField?.tableName}" (field "${fieldKey}")`);
+
+      // Break this loop
+      continue;
+    }
+
+    // Aggregate field (count, sum, avg, etc.) is a correlated subQuery, the column name is in snake_case (answersCount => answers_count)
+    if (modelField?.aggregate) {
+      const aggregateQuery = createAggregateQuery({ name: field?.name, modelField, context });
+      const columnAlias = field?.alias ? `"${field.alias}"` : toSnakeCase(field?.name);
+
+      select.add(`${aggregateQuery.query} AS ${columnAlias}`);
+      mappings.push({ key: fieldKey, column: field?.alias || toSnakeCase(field?.name), type: modelField.type || AGGREGATE_VALUE_TYPES[modelField.aggregate.toLowerCase()] });
+
+      if (aggregateQuery.binding) {
+        whereBindings = mergeBindings(whereBindings, aggregateQuery.binding, `the model "${modelSQLField?.tableName}" (field "${field?.name}")`);
+      }
+
+      continue;
+    }
+
+    if (modelField?.select?.length) {
+      select.add(modelField?.select);
+      mappings.push({ key: fieldKey, column: getFieldColumn(field?.name, modelField.select), type: modelField.type });
+    }
+
+    if (modelField?.join?.length) modelField.join.forEach((item) => joinGraph.addJoin(item, field?.name));
+    if (modelField?.where?.query) whereQuery.add(modelField?.where?.query);
+
+    // Create the whereBindings object with all bindings
+    if (modelField?.where?.binding) {
+      whereBindings = mergeBindings(whereBindings, modelField.where.binding, `the model "${modelSQLField?.tableName}" (field "${field?.name}")`);
+    }
+  }
+
+  // Scopes of the model (for the root model and for every relation subQuery)
+  for (const condition of getScopeConditions({ modelSQLField, context, scopes, unscoped })) {
+    if (condition.query) whereQuery.add(condition.query);
+    if (condition.binding) whereBindings = mergeBindings(whereBindings, condition.binding, `the model "${modelSQLField?.tableName}" (scope)`);
+  }
+
+  // Create the correct format for queries and bindings
+  const queries = [...whereQuery].map((item) => ({ query: item }));
+  const bindings = whereBindings;
+
+  // Transform arrays to string data
+  const data = { where: [...queries], select: [...select]?.join(',\n'), join: joinGraph.getQuery() };
+
+  if (Object.keys(bindings)?.length) data.where.push({ binding: bindings });
+
+  data.mainQuery = `SELECT ${data.select} FROM ${modelSQLField?.tableName} ${data.join}`;
+
+  return { mainQuery: data.mainQuery, where: data.where, mapRow: createRowMapper(mappings) };
+};
+
+/**
+ * PostgreSQL query builder
+ *
+ * Builds a data structure for generating SQL queries
+ * The return format corresponds to the `prepareSQLQuery` function from the 'prepare-sql-query' package
+ *
+ * @param {object} modelSQLField - Contains model SQL fields, including table name and query configurations
+ * @param {array} fieldsData - An array of field names to include in the query in format:
+ *                             [
+ *                              { name: 'id', fields: null },
+ *                              { name: 'users', fields: [
+ *                                                        { name: 'id', fields: null },
+ *                                                        { name: 'email', fields: null }
+ *                                                        ],
+ *                                              args: { first: 5, orderBy: '-createdAt', filters: { active: true } }
+ *                               }
+ *                              ]
+ *                             args - optional arguments for a relation field (see createRelationArgsQuery)
+ * @param info {object} GraphQL info object. By default is null. If you use this param, you can skip fieldsData
+ * @param wrapperPath {string|array|null} path to the model fields in the GraphQL response shape (see getRelatedFieldsFromGraphQl)
+ *                                        By default 'data' ({ totalCount, data }) or 'edges.node' (Relay connection)
+ * @param maxDepth {number|null} maximum depth of nested relations (by default = 10), null - without the limit
+ * @param maxRelations {number|null} maximum count of relations in the whole query (by default = 50), null - without the limit
+ * @param unknownFields {string} 'lenient' (by default) - fields which are not in the model are skipped,
+ *                               'strict' - an error is thrown for fields which are not in the model
+ *                               Errors name the model and the field path (for example: "author.friends.friends")
+ * @param context {object|null} context of the request (user, tenant, etc.) for the field guards and the model scopes
+ * @param scopes {array} names of the scopes of the root model (see getScopeConditions)
+ * @param unscoped {boolean} if true then the default scope of the root model is not applied (by default = false)
+ *
+ * @return {object} An object containing data for creating the SQL query:
+ * {
+ *   where: [{ query: string, binding: object }],
+ *   mainQuery,
+ *   mapRow,
+ *   hydrate
+ * }
+ *
+ * @property {array} where - An array of objects, each representing a WHERE condition query and its associated bindings for placeholders
+ * @property {string} mainQuery - A string representing the base query, constructed using `modelSQLField.tableName` with the selected fields and join queries
+ * @property {function} mapRow - mapRow(row) maps a result row to the response fields: columns get the field names (or GraphQL aliases),
+ *                               values are coerced by the field types, relations are mapped recursively ([] or null if they are empty)
+ * @property {function} hydrate - hydrate(rows) maps an array of result rows by mapRow
+ *
+ * modelSQLField has to be the next format:
+ *
+ *   export const feedbackSQLFields = {
+ *     tableName: 'data.feedbacks f',
+ *     id: { select: ['f.id'] },
+ *     score: { select: ['f.score'] },
+ *     message: { select: ['f.message'] },
+ *     images: { select: ['f.images'] },
+ *     authorId: { select: ['f.author_id'] },
+ *     author: { relation: userSQLFields, type: {}, where: { query: 'u.id = f.author_id' } },
+ *     answers: { select: ['f.answers'] },
+ *     createdAt: { select: ['f.created_at'] },
+ *     updatedAt: { select: ['f.updated_at'] }
+ *   };
+ *
+ *   OR
+ *
+ *   export const userSQLFields = {
+ *     tableName: 'data.users u',
+ *     id: { select: ['DISTINCT u.id'] },
+ *     avatar: { select: ['u.avatar'] },
+ *     firstName: { select: ['u.first_name'] },
+ *     lastName: { select: ['u.last_name'] },
+ *     address: {
+ *       select: ['to_jsonb(a) as address'],
+ *       join: ['INNER JOIN data.addresses a ON a.id = u.address_id'],
+ *       where: { query: 'a.id = u.address_id', binding: {} }
+ *     },
+ *     currency: {
+ *       select: ['COALESCE(uset.currency, :defaultPlatformCurrency) as currency'],
+ *       join: ['INNER JOIN data.user_settings uset ON uset.user_id = u.id'],
+ *       where: {
+ *         binding: { defaultPlatformCurrency: DEFAULT_PLATFORM_CURRENCY }
+ *       }
+ *     },
+ *     locale: {
+ *       select: ['COALESCE(uset.locale, :defaultLanguage) as locale'],
+ *       join: ['LEFT JOIN data.user_settings uset ON uset.user_id = u.id'],
+ *       where: {
+ *         binding: { defaultLanguage }
+ *       }
+ *     },
+ *     favorites: {
+ *       select: [
+ *         `(SELECT jsonb_agg(uf)
+ *                  FROM data.users uf
+ *                  INNER JOIN data.client_favorites cf ON uf.id = ANY (cf.service_providers)
+ *                  WHERE cf.client_id = u.id) AS favorites`
+ *       ]
+ *     },
+ *     unreadMessages: {
+ *       select: [
+ *         `(SELECT count(pc.id) as unread_messages FROM data.private_chats pc
+ *           WHERE pc.author_id = u.id AND pc.read = false) AS unread_messages`
+ *       ]
+ *     },
+ *   };
+ *
+ *  * Fields for creating an SQL query (necessary for retrieving multiple records in a single SQL query, avoiding the N+1 problem)
+ *  *
+ *  *   Fields format:
+ *  *   {
+ *  *     tableName: 'data.users u',
+ *  *     address: {
+ *  *       select: ['to_jsonb(a) as address'],
+ *  *       join: ['INNER JOIN data.addresses a ON a.id = u.address_id'],
+ *  *       where: { query: 'a.id = u.address_id AND u.id = :userId', binding: { userId: 1 } }
+ *  *     }
+ *  *
+ *  *     !!! If the field is related to another model, use the following format:
+ *  *       author: {
+ *  *                 relation: userSQLFields,
+ *  *                 type: {} OR [] (to indicate an array or object for subQuery),
+ *  *                 where: { query: 'f.author_id = u.id' } condition for the subQuery (defines the relationship between this model and the subQuery)
+ *  *               }
+ *  *     !!!
+ *  *   }
+ *
+ *    FIELDS DATA DOC:
+ *      tableName - The table name with its schema and alias
+ *      joins - An object with joins by aliases: { alias: { type, table, on, dependsOn } } (see createJoinGraph)
+ *      scope - A function (context) => { query, binding } (or an array) with row-level conditions (tenant, owner, etc.)
+ *              The scope is added to the root WHERE and to every relation subQuery of this model
+ *      defaultScope - A condition { query, binding } (or an array, or a function (context) => condition) which is applied
+ *                     to the root WHERE and to every relation subQuery of this model if the query is not unscoped (deleted_at IS NULL)
+ *      scopes - An object with named scopes ({ published: { query: 'a.is_published = true' } }), see getScopeConditions
+ *      writable - An object with writable columns by field names for mutations: { firstName: 'first_name' } (see buildInsert)
+ *      key of object - The field name that needs to be attached to the query
+ *      object within the key:
+ *        select - An array of fields to be included in the SELECT section of the query (with aliases and using the table alias)
+ *        join - An array of joins to be included in the query, which will be placed after the FROM clause
+ *               Can contain aliases of joins from the `joins` key of the model (see createJoinGraph) or join strings
+ *               Every join is added once by its alias
+ *        where - An object containing two keys
+ *                 - query: A string with conditions to be used in the WHERE clause
+ *                 - binding: An object with key-value bindings, where the key represents a placeholder and the value is the binding
+ *                   Placeholders of a relation subQuery get the namespace of the relation field (:userId => :author__userId)
+ *                   If the same placeholder receives two different values an error is thrown
+ *        relation - An object representing another model from which a subquery will be created. If this key is used, the `where` condition will apply to the subQuery
+ *        type - An empty object (`{}`) or array (`[]`) used only with the `relation` key.
+ *               This indicates whether the subquery should return one object (`{}`) or multiple objects (`[]`)
+ *               For other fields - a type of the value for mapRow: string, number, integer, boolean, date or json
+ *               (count of aggregate fields is integer, sum and avg are number by default)
+ *        filterRules - Filter rules (the same as for prepareSQLQuery) for the `filters` argument of the relation field
+ *        sortRules - Sort rules (the same as for prepareSQLQuery) for the `orderBy` argument of the relation field
+ *        maxLimit - Maximum value of the `first` (or `limit`) argument, also used as the default limit
+ *        scopes - Names of the scopes of the relation model which are applied to the subQuery (for relation and aggregate fields)
+ *        unscoped - If true then the default scope of the relation model is not applied to the subQuery
+ *        guard - A function (context) => access: true or 'allow', 'hide' (not selected), 'null' (selected as NULL), false or 'reject' (an error)
+ *        aggregate - An aggregate function (count, sum, avg, min or max) over the `relation` model (or table) with the `field` and `where` keys
+ *                    The field is selected as a correlated subQuery (see createAggregateQuery), the column name is in snake_case
+ *
+ */
+export const postgreSqlBuilder = ({
+                                    modelSQLField = null,
+                                    fieldsData = [],
+                                    info = null,
+                                    wrapperPath = null,
+                                    maxDepth = 10,
+                                    maxRelations = 50,
+                                    unknownFields = 'lenient',
+                                    context = null,
+                                    scopes = [],
+                                    unscoped = false
+                                  }) => {
+  if (!modelSQLField) throw new Error('Invalid input: modelSQLField is required');
+  if (!fieldsData?.length && !info) throw new Error('Invalid input: fields or info are required (fields must be an array, info - object)');
+  if (!UNKNOWN_FIELDS_MODES.includes(unknownFields)) throw new Error(`Incorrect unknownFields value! Need use only ${UNKNOWN_FIELDS_MODES.join(', ')}`);
+
+  let fields = fieldsData;
+
+  // If needs to get fields from graphQl schema
+  if (info) {
+    const fieldsFromGraphQl = getRelatedFieldsFromGraphQl(info, wrapperPath);
+    fields = fieldsFromGraphQl.fields;
+  }
+
+  const builderData = buildModelQuery({
+    modelSQLField,
+    fields,
+    limits: { maxDepth, maxRelations, unknownFields },
+    path: [],
+    counter: { relations: 0 },
+    context,
+    scopes,
+    unscoped
+  });
+
+  return { ...builderData, hydrate: (rows) => (rows || []).map((row) => builderData.mapRow(row)) };
+};
+
+/**
+ * Parse the table name of a model
+ *
+ * @param tableName {string} table name with schema and alias (for example: 'data.users u')
+ * @return {object} - { table, alias }, for example: { table: 'data.users', alias: 'u' }
+ */
+const parseTableName = (tableName) => {
+  const [table, ...words] = (tableName || '').trim().split(/\s+/);
+  const alias = words.filter((word) => word.toUpperCase() !== 'AS').pop() || null;
+
+  return { table, alias };
+};
+
+/**
+ * Create columns, values and bindings for INSERT or UPDATE from the writable fields of a model
+ *
+ * @param modelSQLField {object} model with the writable key: { firstName: 'first_name', email: 'email' }
+ * @param data {object|array} an object or an array of objects with values by field names
+ * @return {object} - { fields, columns, values, bindings }
+ *                    values - an array of placeholders for every record (DEFAULT if a record doesn't have the field)
+ */
+const createMutationValues = ({ modelSQLField, data }) => {
+  const modelName = modelSQLField?.tableName;
+  const writable = modelSQLField?.writable;
+  const rows = Array.isArray(data) ? data : [data];
+
+  if (!writable) throw new Error(`Invalid input: writable is required for mutations of the model "${modelName}"`);
+
+  if (!rows.length || rows.some((row) => !row || typeof row !== 'object' || !Object.keys(row).length)) {
+    throw new Error('Invalid input: data is required (an object or an array of objects)');
+  }
+
+  // Fields from all records
+  const fields = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  for (const field of fields) {
+    if (!Object.hasOwn(writable, field)) {
+      throw new Error(`Incorrect data value! Field "${field}" is not writable in the model "${modelName}". Writable fields: ${Object.keys(writable).join(', ')}`);
+    }
+  }
+
+  const bindings = {};
+
+  const values = rows.map((row, index) => fields.map((field) => {
+    if (!Object.hasOwn(row, field)) return 'DEFAULT';
+
+    const key = rows.length > 1 ? `data_${field}_${index}` : `data_${field}`;
+    bindings[key] = row[field];
+
+    return `:${key}`;
+  }));
+
+  return { fields, columns: fields.map((field) => writable[field]), values, bindings };
+};
+
+/**
+ * Create the mutation query with RETURNING
+ *
+ * Without fields returns all columns of the changed records (RETURNING alias.*)
+ * With fields (or info) the mutation is placed to a CTE and the changed records are selected by postgreSqlBuilder,
+ * so the payload with relations comes back in one statement:
+ *   WITH mutation_query AS (INSERT ... RETURNING u.*) SELECT ... FROM mutation_query u
+ *
+ * All parts of the statement use the same snapshot of the data (data-modifying CTE), so only the changed records are taken
+ * from mutation_query. Relation and aggregate subqueries of the payload which read the mutated table see the records before the mutation
+ * (for example, a count of the records of the same table doesn't include the inserted record)
+ * INSERT ... ON CONFLICT DO NOTHING doesn't return the conflicting records, so there is no payload for them
+ *
+ * The default scope of the model is not applied to the payload: the changed records are already limited by the WHERE of the mutation,
+ * and the returned values can be out of the default scope (a soft delete sets deleted_at). The scope key is applied as always
+ *
+ * @param modelSQLField {object} model (see postgreSqlBuilder)
+ * @param mutationQuery {string} INSERT, UPDATE or DELETE query without RETURNING
+ * @param bindings {object} bindings of the mutation query
+ * @param fieldsData {array} fields of the payload (see postgreSqlBuilder)
+ * @param info {object|null} GraphQL info object
+ * @param wrapperPath {string|array|null} path to the model fields in the GraphQL response shape (see getRelatedFieldsFromGraphQl)
+ * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+ * @param context {object|null} context of the request for the field guards and the model scopes of the payload
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+const createMutationReturning = ({ modelSQLField, mutationQuery, bindings, fieldsData, info, wrapperPath, output, context }) => {
+  const { table, alias } = parseTableName(modelSQLField?.tableName);
+
+  if (!QUERY_OUTPUTS.includes(output)) throw new Error(`Incorrect output value! Need use only ${QUERY_OUTPUTS.join(', ')}`);
+
+  if (!fieldsData?.length && !info) return createQueryOutput({ preparedQuery: `${mutationQuery} RETURNING ${alias || table}.*`, bindings }, output);
+
+  if (!alias) throw new Error(`Invalid input: tableName of the model "${table}" needs an alias for the mutation payload (for example: 'data.users u')`);
+
+  // The changed records are selected from the CTE with the alias of the model table (without the default scope)
+  const builderData = postgreSqlBuilder({
+    modelSQLField: { ...modelSQLField, tableName: `mutation_query ${alias}` },
+    fieldsData,
+    info,
+    wrapperPath,
+    context,
+    unscoped: true
+  });
+  const selectQuery = createSqlQueryForBuilder(builderData);
+
+  const preparedQuery = `WITH mutation_query AS (${mutationQuery} RETURNING ${alias}.*) ${selectQuery.preparedQuery}`;
+
+  return createQueryOutput({ preparedQuery, bindings: mergeBindings(bindings, selectQuery.bindings, `the model "${table}"`) }, output);
+};
+
+/**
+ * Build INSERT query from the writable fields of a model
+ *
+ * Example:
+ *   const { preparedQuery, bindings } = buildInsert({ modelSQLField: userSQLFields, data: { email, firstName }, info });
+ *   const [user] = await DB.query(preparedQuery, { bindings });
+ *
+ * @param modelSQLField {object} model with the writable key: { firstName: 'first_name', email: 'email' }
+ * @param data {object|array} an object or an array of objects (several records) with values by field names
+ * @param fieldsData {array} fields of the payload (see postgreSqlBuilder)
+ * @param info {object|null} GraphQL info object. If you use this param, you can skip fieldsData
+ * @param wrapperPath {string|array} path to the model fields in the GraphQL response shape (by default '' - the top level)
+ * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+ * @param context {object|null} context of the request for the field guards and the model scopes (see postgreSqlBuilder)
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+export const buildInsert = ({ modelSQLField, data, fieldsData = [], info = null, wrapperPath = '', output = 'named', context = null }) => {
+  const { table, alias } = parseTableName(modelSQLField?.tableName);
+  const { columns, values, bindings } = createMutationValues({ modelSQLField, data });
+
+  const rowsQuery = values.map((row) => `(${row.join(', ')})`).join(', ');
+  const mutationQuery = `INSERT INTO ${table}${alias ? ` AS ${alias}` : ''} (${columns.join(', ')}) VALUES ${rowsQuery}`;
+
+  return createMutationReturning({ modelSQLField, mutationQuery, bindings, fieldsData, info, wrapperPath, output, context });
+};
+
+/**
+ * Build INSERT ... ON CONFLICT query from the writable fields of a model
+ *
+ * @param modelSQLField {object} model with the writable key: { firstName: 'first_name', email: 'email' }
+ * @param data {object|array} an object or an array of objects (several records) with values by field names
+ * @param conflict {array} writable fields of the unique constraint, for example: ['email']. They have to be in data
+ * @param update {array|null} fields which are updated on the conflict (by default all fields of data except the conflict fields)
+ *                            They have to be in data, otherwise the conflicting record would get DEFAULT values
+ *                            If there are no fields for updating then DO NOTHING is used, the conflicting records are not in the payload
+ *                            DO UPDATE has the scope of the model in WHERE, a conflicting record out of the scope is not updated and not in the payload
+ * @param fieldsData {array} fields of the payload (see postgreSqlBuilder)
+ * @param info {object|null} GraphQL info object. If you use this param, you can skip fieldsData
+ * @param wrapperPath {string|array} path to the model fields in the GraphQL response shape (by default '' - the top level)
+ * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+ * @param context {object|null} context of the request for the field guards and the model scopes (see postgreSqlBuilder)
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+export const buildUpsert = ({ modelSQLField, data, conflict = [], update = null, fieldsData = [], info = null, wrapperPath = '', output = 'named', context = null }) => {
+  const { table, alias } = parseTableName(modelSQLField?.tableName);
+  const { fields, columns, values, bindings } = createMutationValues({ modelSQLField, data });
+  const writable = modelSQLField.writable;
+
+  if (!conflict?.length) throw new Error('Invalid input: conflict fields are required for UPSERT');
+
+  // A field without values would be set to DEFAULT (or NULL) on the conflict
+  const checkFields = (items, key) => items.forEach((field) => {
+    if (!Object.hasOwn(writable, field)) throw new Error(`Incorrect ${key} value! Field "${field}" is not writable in the model "${table}"`);
+    if (!fields.includes(field)) throw new Error(`Incorrect ${key} value! Field "${field}" is not in data of the model "${table}"`);
+  });
+
+  const updateFields = update || fields.filter((field) => !conflict.includes(field));
+
+  checkFields(conflict, 'conflict');
+  checkFields(updateFields, 'update');
+
+  const rowsQuery = values.map((row) => `(${row.join(', ')})`).join(', ');
+  const conflictColumns = conflict.map((field) => writable[field]).join(', ');
+
+  // Only a conflicting record from the scope of the model can be updated (the default scope is not applied)
+  const conditionsQuery = createWhereQuery({ whereConditions: updateFields.length ? getScopeConditions({ modelSQLField, context, unscoped: true }) : [] });
+
+  const action = updateFields.length
+    ? `DO UPDATE SET ${updateFields.map((field) => `${writable[field]} = EXCLUDED.${writable[field]}`).join(', ')}${conditionsQuery.where}`
+    : 'DO NOTHING';
+
+  const mutationQuery = `INSERT INTO ${table}${alias ? ` AS ${alias}` : ''} (${columns.join(', ')}) VALUES ${rowsQuery} ON CONFLICT (${conflictColumns}) ${action}`;
+
+  return createMutationReturning({
+    modelSQLField,
+    mutationQuery,
+    bindings: mergeBindings(bindings, conditionsQuery.bindings, 'scope conditions'),
+    fieldsData,
+    info,
+    wrapperPath,
+    output,
+    context
+  });
+};
+
+/**
+ * Build UPDATE query from the writable fields of a model
+ *
+ * @param modelSQLField {object} model with the writable key: { firstName: 'first_name', email: 'email' }
+ * @param data {object} values by field names
+ * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'u.id = :userId', binding: { userId: 5 } }])
+ *                     Conditions are required, so a mistake can't update all records
+ * @param fieldsData {array} fields of the payload (see postgreSqlBuilder)
+ * @param info {object|null} GraphQL info object. If you use this param, you can skip fieldsData
+ * @param wrapperPath {string|array} path to the model fields in the GraphQL response shape (by default '' - the top level)
+ * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+ * @param context {object|null} context of the request for the field guards and the model scopes (see postgreSqlBuilder)
+ * @param unscoped {boolean} if true then the default scope of the model is not added to the WHERE of UPDATE,
+ *                          so records out of the default scope can be updated (by default = false). The scope key is applied always
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+export const buildUpdate = ({ modelSQLField, data, where = [], fieldsData = [], info = null, wrapperPath = '', output = 'named', context = null, unscoped = false }) => {
+  const { table, alias } = parseTableName(modelSQLField?.tableName);
+
+  if (Array.isArray(data)) throw new Error('Invalid input: data for UPDATE must be an object');
+  if (!where?.some((condition) => condition?.query)) throw new Error('Invalid input: where conditions are required for UPDATE');
+
+  const { columns, values, bindings } = createMutationValues({ modelSQLField, data });
+
+  // Only records from the scope of the model can be updated
+  const conditionsQuery = createWhereQuery({ whereConditions: [...where, ...getScopeConditions({ modelSQLField, context, unscoped })] });
+
+  const setQuery = columns.map((column, index) => `${column} = ${values[0][index]}`).join(', ');
+  const mutationQuery = `UPDATE ${table}${alias ? ` AS ${alias}` : ''} SET ${setQuery}${conditionsQuery.where}`;
+
+  return createMutationReturning({
+    modelSQLField,
+    mutationQuery,
+    bindings: mergeBindings(bindings, conditionsQuery.bindings, 'where conditions'),
+    fieldsData,
+    info,
+    wrapperPath,
+    output,
+    context
+  });
+};
+
+/**
+ * Build DELETE query for a model
+ *
+ * @param modelSQLField {object} model (see postgreSqlBuilder)
+ * @param where {array} of objects with WHERE conditions and bindings ([{ query: 'u.id = :userId', binding: { userId: 5 } }])
+ *                     Conditions are required, so a mistake can't delete all records
+ * @param fieldsData {array} fields of the payload (see postgreSqlBuilder)
+ * @param info {object|null} GraphQL info object. If you use this param, you can skip fieldsData
+ * @param wrapperPath {string|array} path to the model fields in the GraphQL response shape (by default '' - the top level)
+ * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+ * @param context {object|null} context of the request for the field guards and the model scopes (see postgreSqlBuilder)
+ * @param unscoped {boolean} if true then the default scope of the model is not added to the WHERE of DELETE,
+ *                          so records out of the default scope can be deleted (by default = false). The scope key is applied always
+ * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+ */
+export const buildDelete = ({ modelSQLField, where = [], fieldsData = [], info = null, wrapperPath = '', output = 'named', context = null, unscoped = false }) => {
+  const { table, alias } = parseTableName(modelSQLField?.tableName);
+
+  if (!where?.some((condition) => condition?.query)) throw new Error('Invalid input: where conditions are required for DELETE');
+
+  // Only records from the scope of the model can be deleted
+  const conditionsQuery = createWhereQuery({ whereConditions: [...where, ...getScopeConditions({ modelSQLField, context, unscoped })] });
+  const mutationQuery = `DELETE FROM ${table}${alias ? ` AS ${alias}` : ''}${conditionsQuery.where}`;
+
+  return createMutationReturning({ modelSQLField, mutationQuery, bindings: conditionsQuery.bindings, fieldsData, info, wrapperPath, output, context });
+};
+
+/**
+ * Styles of the query parameters
+ */
+const QUERY_PARAMS_STYLES = ['jsonApi', 'flat'];
+
+/**
+ * Functions for the type coercion of the filter values (the type key of filter rules)
+ * Every function returns undefined if the value can't be coerced
+ */
+const FILTER_VALUE_TYPES = {
+  string: (value) => String(value),
+  number: (value) => (value !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined),
+  integer: (value) => (value !== '' && Number.isInteger(Number(value)) ? Number(value) : undefined),
+  boolean: (value) => ({ true: true, 1: true, false: false, 0: false })[String(value).toLowerCase()],
+  date: (value) => (Number.isNaN(Date.parse(value)) ? undefined : String(value))
+};
+
+/**
+ * Create an error of the query parameters (the error has status 400 and the name of the parameter)
+ *
+ * @param parameter {string} name of the query parameter, for example: 'filter[price][gte]'
+ * @param message {string} error message
+ * @return {Error}
+ */
+const createQueryParamsError = (parameter, message) => {
+  const error = new Error(`Invalid query parameter "${parameter}": ${message}`);
+
+  error.status = 400;
+  error.parameter = parameter;
+
+  return error;
+};
+
+/**
+ * Get entries of the query parameters with paths of keys
+ *
+ * @param query {string|URLSearchParams|object} query string, URLSearchParams or parsed query (req.query)
+ * @return {array} of objects in the format: [{ path: ['filter', 'price', 'gte'], value: '10' }]
+ */
+const getQueryParamsEntries = (query) => {
+  const entries = [];
+
+  // filter[price][gte] => ['filter', 'price', 'gte']
+  const parseKey = (key) => key.split('[').map((part) => part.replace(/]$/, '')).filter(Boolean);
+
+  const addEntry = (path, value) => {
+    const entry = entries.find((item) => item.path.join('.') === path.join('.'));
+
+    // Repeated parameters are collected to an array
+    if (entry) entry.value = [].concat(entry.value, value);
+    else entries.push({ path, value });
+  };
+
+  const walk = (value, path) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, item]) => walk(item, [...path, ...parseKey(key)]));
+      return;
+    }
+
+    addEntry(path, value);
+  };
+
+  if (typeof query === 'string' || query instanceof URLSearchParams) {
+    for (const [key, value] of new URLSearchParams(query)) addEntry(parseKey(key), value);
+  } else {
+    walk(query || {}, []);
+  }
+
+  return entries;
+};
+
+/**
+ * Parse query parameters of a REST API to filters, search, meta and fieldsData
+ *
+ * JSON:API style (by default):
+ *   ?filter[year]=2024&filter[price][gte]=10&filter[status][in]=new,active&sort=-createdAt,title
+ *   &page[size]=20&page[number]=3&search=john&fields[articles]=id,title,author.firstName
+ *
+ * Flat style:
+ *   ?year=2024&price[gte]=10&status[in]=new,active&sort=-createdAt,title&perPage=20&page=3&search=john&fields=id,title
+ *
+ * The cursor pagination uses page[after] and page[before] (after and before for the flat style)
+ *
+ * Filter values are coerced by the type key of the filter rules (string, number, integer, boolean, date), for example:
+ *   price: { table: 'data.articles', field: 'price', type: 'number' }
+ * Values of in and notIn are separated by commas (or repeated parameters), isNull values are boolean
+ *
+ * Errors have status 400 and the name of the parameter (error.status, error.parameter):
+ *   Invalid query parameter "filter[price][gte]": need a number
+ *
+ * @param query {string|URLSearchParams|object} query string, URLSearchParams or parsed query (req.query)
+ * @param style {string} 'jsonApi' (by default) or 'flat'
+ * @param filterRules {object|null} with dictionary for filtering (see filtersHelper), only keys from the rules are allowed
+ * @param sortRules {object|null} with dictionary for sorting (see createSortColumns), only keys from the rules are allowed
+ *                            Without the rules the sort parameter is rejected
+ * @param modelSQLField {object|null} model for checking the sparse fieldsets (see postgreSqlBuilder)
+ *                                    A relation without fields is expanded to all fields of the related model which are not relations
+ *                                    Keys of filterRules and sortRules which are guarded fields of the model are rejected (see guardRules)
+ * @param context {object|null} context of the request for the field guards
+ * @param type {string|null} type of the resource for the sparse fieldsets of the JSON:API style (fields[type]),
+ *                           fieldsets of other types are ignored. By default the only type from the query
+ * @param maxPerPage {number} maximum count of records per page (by default = 100)
+ * @param defaultPerPage {number} count of records per page if only the page number is used (by default = 25)
+ *
+ * @return {object} - { filters, search, meta, fieldsData }
+ *                    fieldsData - fields for postgreSqlBuilder or null if the query doesn't have sparse fieldsets
+ */
+export const parseQueryParams = ({
+                                   query,
+                                   style = 'jsonApi',
+                                   filterRules = null,
+                                   sortRules = null,
+                                   modelSQLField = null,
+                                   context = null,
+                                   type = null,
+                                   maxPerPage = 100,
+                                   defaultPerPage = 25
+                                 }) => {
+  if (!QUERY_PARAMS_STYLES.includes(style)) throw new Error(`Incorrect style value! Need use only ${QUERY_PARAMS_STYLES.join(', ')}`);
+
+  // A client can't filter and sort by guarded fields of the model
+  const allowedFilterRules = guardRules({ rules: filterRules, modelSQLField, context });
+  const allowedSortRules = guardRules({ rules: sortRules, modelSQLField, context });
+
+  const isJsonApi = style === 'jsonApi';
+  const filterEntries = [];
+  const page = {};
+  let sort = null;
+  let search = null;
+  let fields = null;
+
+  // The last value of a repeated parameter
+  const getLast = (value) => (Array.isArray(value) ? value.at(-1) : value);
+
+  // Name of the parameter for errors
+  const getParameter = (path) => path.map((part, index) => (index ? `[${part}]` : part)).join('');
+
+  // Split parameters by their meaning
+  for (const { path, value } of getQueryParamsEntries(query)) {
+    const [name, ...rest] = path;
+    const parameter = getParameter(path);
+
+    if (['sort', 'search'].includes(name) && rest.length) throw createQueryParamsError(parameter, 'unknown parameter');
+
+    if (name === 'sort') {
+      sort = getLast(value);
+      continue;
+    }
+
+    if (name === 'search') {
+      search = getLast(value);
+      continue;
+    }
+
+    // JSON:API: filter[key][operator], page[size], page[number], page[after], page[before], fields[type]
+    if (isJsonApi) {
+      if (name === 'filter' && rest.length) filterEntries.push({ key: rest[0], operator: rest[1], value, parameter, depth: rest.length });
+      else if (name === 'page' && rest.length === 1) page[rest[0]] = { value: getLast(value), parameter };
+      else if (name === 'fields' && rest.length === 1) fields = { ...fields, [rest[0]]: { value, parameter } };
+      else throw createQueryParamsError(parameter, 'unknown parameter');
+
+      continue;
+    }
+
+    // Flat: page, perPage, after, before, fields, other keys are filters (key or key[operator])
+    if (['page', 'perPage', 'after', 'before', 'fields'].includes(name)) {
+      if (rest.length) throw createQueryParamsError(parameter, 'unknown parameter');
+
+      if (name === 'fields') fields = { [type || 'fields']: { value, parameter } };
+      else page[{ page: 'number', perPage: 'size' }[name] || name] = { value: getLast(value), parameter };
+
+      continue;
+    }
+
+    filterEntries.push({ key: name, operator: rest[0], value, parameter, depth: rest.length + 1 });
+  }
+
+  /**
+   * Coerce the filter value by the type of the rule
+   *
+   * @param value {*} value
+   * @param valueType {string} type of the value
+   * @param parameter {string} name of the parameter (for errors)
+   * @return {*} coerced value
+   */
+  const coerceValue = (value, valueType, parameter) => {
+    const coerce = FILTER_VALUE_TYPES[valueType];
+
+    if (!coerce) throw new Error(`Incorrect type value of the filter rule for "${parameter}"! Need use only ${Object.keys(FILTER_VALUE_TYPES).join(', ')}`);
+
+    const coercedValue = coerce(value);
+
+    if (coercedValue === undefined) throw createQueryParamsError(parameter, `need a value of the type ${valueType}`);
+
+    return coercedValue;
+  };
+
+  // A list of values: 'a,b' or repeated parameters
+  const getList = (value) => [].concat(value).flatMap((item) => String(item).split(',')).map((item) => item.trim()).filter(Boolean);
+
+  const filters = {};
+
+  for (const { key, operator, value, parameter, depth } of filterEntries) {
+    const rule = allowedFilterRules && Object.hasOwn(allowedFilterRules, key) ? allowedFilterRules[key] : null;
+
+    if (!rule) throw createQueryParamsError(parameter, `unknown filter field "${key}"`);
+    if (depth > 2) throw createQueryParamsError(parameter, 'unknown parameter');
+
+    // Scope names (see filtersHelper)
+    if (rule.scopes) {
+      if (operator) throw createQueryParamsError(parameter, 'operators are not allowed for scopes');
+
+      filters[key] = getList(value);
+      continue;
+    }
+
+    // Repeated values without an operator are used as IN
+    const filterOperator = operator || (Array.isArray(value) ? 'in' : 'eq');
+    const allowedOperators = rule.query ? ['eq'] : rule.operators || Object.keys(FILTER_OPERATORS);
+
+    if (!Object.hasOwn(FILTER_OPERATORS, filterOperator)) throw createQueryParamsError(parameter, `unknown operator "${filterOperator}"`);
+    if (!allowedOperators.includes(filterOperator)) throw createQueryParamsError(parameter, `operator "${filterOperator}" is not allowed for the filter field "${key}"`);
+
+    let filterValue;
+
+    if (filterOperator === 'isNull') filterValue = coerceValue(getLast(value), 'boolean', parameter);
+    else if (['in', 'notIn'].includes(filterOperator)) filterValue = getList(value).map((item) => coerceValue(item, rule.type || 'string', parameter));
+    else filterValue = coerceValue(getLast(value), rule.type || 'string', parameter);
+
+    filters[key] = { ...filters[key], [filterOperator]: filterValue };
+  }
+
+  // A filter with only the eq operator is a plain value
+  for (const [key, value] of Object.entries(filters)) {
+    if (value?.constructor === Object && Object.keys(value).length === 1 && Object.hasOwn(value, 'eq')) filters[key] = value.eq;
+  }
+
+  const meta = {};
+
+  if (sort) {
+    // Without rules the sorting keys would be used as column names of the table
+    if (!allowedSortRules) throw createQueryParamsError('sort', 'sorting is not allowed (sortRules are required)');
+
+    const orderBy = getList(sort);
+
+    try {
+      createSortColumns({ orderBy, rules: allowedSortRules });
+    } catch (error) {
+      throw createQueryParamsError('sort', error.message);
+    }
+
+    meta.orderBy = orderBy;
+  }
+
+  // A positive integer of the page parameters
+  const getPageInteger = ({ value, parameter }) => {
+    const number = FILTER_VALUE_TYPES.integer(value);
+
+    if (number === undefined || number < 1) throw createQueryParamsError(parameter, 'need a positive integer');
+
+    return number;
+  };
+
+  const unknownPageKey = Object.keys(page).find((key) => !['size', 'number', 'after', 'before'].includes(key));
+
+  if (unknownPageKey) throw createQueryParamsError(page[unknownPageKey].parameter, 'unknown parameter');
+
+  if (page.size) {
+    meta.perPage = getPageInteger(page.size);
+
+    if (meta.perPage > maxPerPage) throw createQueryParamsError(page.size.parameter, `maximum is ${maxPerPage}`);
+  }
+
+  if (page.number) {
+    if (page.after || page.before) throw createQueryParamsError(page.number.parameter, 'can not be used with the cursor pagination');
+
+    meta.perPage = meta.perPage || defaultPerPage;
+    meta.offset = (getPageInteger(page.number) - 1) * meta.perPage;
+  }
+
+  if (page.after || page.before) {
+    if (page.after && page.before) throw createQueryParamsError(page.before.parameter, 'can not be used with the after cursor');
+
+    meta.pagination = 'cursor';
+
+    if (page.after) meta.after = String(page.after.value);
+    if (page.before) meta.before = String(page.before.value);
+  }
+
+  return {
+    filters,
+    search: search ? String(search) : null,
+    meta,
+    fieldsData: fields ? createSparseFieldsData({ fields, type, modelSQLField }) : null
+  };
+};
+
+/**
+ * Create fieldsData for postgreSqlBuilder from the sparse fieldsets (id,title,author.firstName)
+ *
+ * Sparse fieldsets are keyed by types (JSON:API): only fields[type] is used, fieldsets of other types are ignored.
+ * Without fields[type] all fields are returned (null). Without the type the only type from the query is used,
+ * several types can't be matched to the resource, so they are rejected
+ *
+ * @param fields {object} sparse fieldsets by types { articles: { value, parameter } }
+ * @param type {string|null} type of the resource (by default the only type)
+ * @param modelSQLField {object|null} model for checking fields
+ * @return {array|null} fields in the format: [{ name: 'id', fields: null }, { name: 'author', fields: [{ name: 'firstName', fields: null }] }]
+ */
+const createSparseFieldsData = ({ fields, type, modelSQLField }) => {
+  const types = Object.keys(fields);
+
+  if (!type && types.length > 1) throw createQueryParamsError(`fields[${types.join(',')}]`, 'need fields of one type');
+
+  const fieldsType = type || types[0];
+
+  if (!Object.hasOwn(fields, fieldsType)) return null;
+
+  const { value, parameter } = fields[fieldsType];
+  const paths = [].concat(value).flatMap((item) => String(item).split(',')).map((item) => item.trim()).filter(Boolean);
+
+  /**
+   * Add field to the fields tree by its path
+   *
+   * @param tree {array} fields
+   * @param names {array} path of the field
+   * @param model {object|null} model of the fields
+   */
+  const addField = (tree, [name, ...rest], model) => {
+    const modelField = model && Object.hasOwn(model, name) ? model[name] : null;
+
+    if (model && (!modelField || MODEL_KEYS.includes(name))) throw createQueryParamsError(parameter, `unknown field "${name}"`);
+    if (model && rest.length && (!isPlainObject(modelField.relation) || modelField.aggregate)) {
+      throw createQueryParamsError(parameter, `field "${name}" is not a relation`);
+    }
+
+    let field = tree.find((item) => item.name === name);
+
+    if (!field) {
+      field = { name, fields: null };
+      tree.push(field);
+    }
+
+    if (rest.length) {
+      field.fields = field.fields || [];
+      addField(field.fields, rest, model ? modelField.relation : null);
+    }
+  };
+
+  const fieldsData = [];
+
+  paths.forEach((path) => addField(fieldsData, path.split('.'), modelSQLField));
+
+  /**
+   * Expand relations without fields to all fields of the related model which are not relations
+   *
+   * @param tree {array} fields
+   * @param model {object} model of the fields
+   */
+  const expandRelations = (tree, model) => {
+    for (const field of tree) {
+      const relation = model?.[field.name]?.relation;
+
+      if (!isPlainObject(relation) || model[field.name].aggregate) continue;
+
+      if (!field.fields) {
+        field.fields = Object.entries(relation)
+          .filter(([name, relationField]) => !MODEL_KEYS.includes(name) && !relationField?.relation)
+          .map(([name]) => ({ name, fields: null }));
+      } else {
+        expandRelations(field.fields, relation);
+      }
+    }
+  };
+
+  if (modelSQLField) expandRelations(fieldsData, modelSQLField);
+
+  return fieldsData;
+};
+
+/**
+ * Combine conditions of the builder to one condition
+ *
+ * @param conditions {array} of objects { type: 'AND' or 'OR', query, binding }
+ * @return {object|null} - { query, binding } or null if there are no conditions
+ */
+const combineConditions = (conditions) => {
+  if (!conditions?.length) return null;
+
+  let binding = {};
+
+  const query = conditions.reduce((acc, condition, index) => {
+    binding = mergeBindings(binding, condition.binding, 'query builder conditions');
+
+    return index ? `${acc} ${condition.type} (${condition.query})` : `(${condition.query})`;
+  }, '');
+
+  return { query, binding };
+};
+
+/**
+ * Chainable SQL query builder
+ *
+ * Every method returns a new builder (the builder is immutable), so one builder can be a base for several queries
+ * The builder knows where every clause belongs and compiles to the prepareSQLQuery format { preparedQuery, bindings }
+ *
+ * Example:
+ *
+ *   const base = new QueryBuilder()
+ *     .from('data.articles a')
+ *     .join('LEFT JOIN data.users u ON u.id = a.author_id')
+ *     .where('a.is_published = :isPublished', { isPublished: true })
+ *     .filter(filters, FILTER_WITH_TABLES)
+ *     .search(search, SEARCH_WITH_TABLES);
+ *
+ *   const dataQuery = base.select('a.*', 'u.first_name').orderBy('-createdAt', SORT_WITH_TABLES).paginate(meta).compile();
+ *   const countQuery = base.select('count(*) AS count').compile();
+ *
+ *   // Or with the total count
+ *   const query = await base.select('a.*').paginate(meta).prepare({ countStrategy: 'exact' });
+ */
+export class QueryBuilder {
+  /**
+   * @param state {object} state of the builder (tables, conditions, sorting, etc.)
+   */
+  constructor(state = {}) {
+    this.state = Object.freeze({
+      table: null,
+      select: [],
+      joins: [],
+      where: [],
+      groupBy: [],
+      having: [],
+      orderBy: [],
+      sortRules: null,
+      meta: null,
+      filters: null,
+      filterRules: null,
+      search: null,
+      searchRules: null,
+      ...state
+    });
+  }
+
+  /**
+   * Create a new builder with the changed state
+   *
+   * @param changes {object} changed state
+   * @return {QueryBuilder}
+   */
+  #with(changes) {
+    return new QueryBuilder({ ...this.state, ...changes });
+  }
+
+  /**
+   * Add condition to the list of conditions
+   *
+   * @param key {string} key of the state (where or having)
+   * @param type {string} AND or OR
+   * @param query {string|function} condition or function (builder) => builder for the grouped conditions
+   * @param binding {object|null} bindings of the condition
+   * @return {QueryBuilder}
+   */
+  #addCondition(key, type, query, binding) {
+    let condition = { type, query, binding };
+
+    // Grouped conditions: where((builder) => builder.where(...).orWhere(...))
+    if (typeof query === 'function') {
+      const group = combineConditions(query(new QueryBuilder()).state[key]);
+
+      if (!group) return this;
+
+      condition = { type, ...group };
+    }
+
+    if (!condition.query) throw new Error(`Invalid input: ${key} condition is required`);
+
+    return this.#with({ [key]: [...this.state[key], condition] });
+  }
+
+  /**
+   * Set the main table
+   *
+   * @param table {string} table name with schema and alias (for example: 'data.users u')
+   * @return {QueryBuilder}
+   */
+  from(table) {
+    return this.#with({ table });
+  }
+
+  /**
+   * Add fields to the select
+   *
+   * @param columns {string} fields (for example: 'u.id', 'u.email AS email')
+   * @return {QueryBuilder}
+   */
+  select(...columns) {
+    return this.#with({ select: [...this.state.select, ...columns.flat()] });
+  }
+
+  /**
+   * Add join (every join is added once by its alias, see createJoinGraph)
+   *
+   * @param join {string|object} join string or object { type, table, alias, on }
+   * @return {QueryBuilder}
+   */
+  join(join) {
+    return this.#with({ joins: [...this.state.joins, join] });
+  }
+
+  /**
+   * Add condition with AND
+   *
+   * @param query {string|function} condition or function (builder) => builder for the grouped conditions
+   * @param binding {object|null} bindings of the condition
+   * @return {QueryBuilder}
+   */
+  where(query, binding = null) {
+    return this.#addCondition('where', 'AND', query, binding);
+  }
+
+  /**
+   * Add condition with OR
+   *
+   * @param query {string|function} condition or function (builder) => builder for the grouped conditions
+   * @param binding {object|null} bindings of the condition
+   * @return {QueryBuilder}
+   */
+  orWhere(query, binding = null) {
+    return this.#addCondition('where', 'OR', query, binding);
+  }
+
+  /**
+   * Add fields to GROUP BY
+   *
+   * @param columns {string} fields (for example: 'u.id', 'u.email')
+   * @return {QueryBuilder}
+   */
+  groupBy(...columns) {
+    return this.#with({ groupBy: [...this.state.groupBy, ...columns.flat()] });
+  }
+
+  /**
+   * Add HAVING condition with AND
+   *
+   * @param query {string|function} condition or function (builder) => builder for the grouped conditions
+   * @param binding {object|null} bindings of the condition
+   * @return {QueryBuilder}
+   */
+  having(query, binding = null) {
+    return this.#addCondition('having', 'AND', query, binding);
+  }
+
+  /**
+   * Add sorting (see createSortColumns)
+   *
+   * @param orderBy {string|array} sorting keys (for example: '-createdAt' or ['-createdAt', 'title'])
+   * @param sortRules {object|null} with dictionary for sorting. If exist then only keys from the rules are allowed
+   * @return {QueryBuilder}
+   */
+  orderBy(orderBy, sortRules = null) {
+    const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+    return this.#with({
+      orderBy: [...this.state.orderBy, ...items],
+      sortRules: sortRules ? { ...this.state.sortRules, ...sortRules } : this.state.sortRules
+    });
+  }
+
+  /**
+   * Add pagination (see createMetaQuery)
+   *
+   * @param meta {object} meta data (perPage, offset, order, orderBy, nulls, pagination, after, before)
+   * @return {QueryBuilder}
+   */
+  paginate(meta = {}) {
+    return this.#with({ meta: { ...meta } });
+  }
+
+  /**
+   * Add filters (see filtersHelper)
+   *
+   * @param filters {object} filters (for example: { price: { gte: 10 } })
+   * @param rules {object} with dictionary for filtering
+   * @return {QueryBuilder}
+   */
+  filter(filters, rules) {
+    return this.#with({
+      filters: { ...this.state.filters, ...filters },
+      filterRules: { ...this.state.filterRules, ...rules }
+    });
+  }
+
+  /**
+   * Add search (see searchHelper)
+   *
+   * @param search {string} search string
+   * @param rules {object} with dictionary for searching
+   * @return {QueryBuilder}
+   */
+  search(search, rules) {
+    return this.#with({ search, searchRules: rules });
+  }
+
+  /**
+   * Create a copy of the builder
+   *
+   * @return {QueryBuilder}
+   */
+  clone() {
+    return new QueryBuilder(this.state);
+  }
+
+  /**
+   * Get params for prepareSQLQuery or buildSQLQuery
+   *
+   * @return {object} - { mainQuery, where, groupBy, meta, filters, filterRules, search, searchRules, sortRules, paginate }
+   */
+  toOptions() {
+    const { table, select, joins, where, groupBy, having, orderBy, sortRules, meta, filters, filterRules, search, searchRules } = this.state;
+
+    if (!table) throw new Error('Invalid input: table is required, use from(table)');
+
+    const joinGraph = createJoinGraph({ tableName: table });
+    joins.forEach((item) => joinGraph.addJoin(item));
+
+    const joinQuery = joinGraph.getQuery();
+    const mainQuery = `SELECT ${select.length ? select.join(', ') : '*'} FROM ${table}${joinQuery ? ` ${joinQuery}` : ''}`;
+
+    const whereCondition = combineConditions(where);
+    const havingCondition = combineConditions(having);
+
+    let groupByQuery = groupBy.length ? `GROUP BY ${groupBy.join(', ')}` : null;
+
+    // HAVING is placed after GROUP BY, its bindings are added to the conditions bindings
+    if (havingCondition) groupByQuery = `${groupByQuery ? `${groupByQuery} ` : ''}HAVING ${havingCondition.query}`;
+
+    return {
+      mainQuery,
+      where: [whereCondition, havingCondition && { binding: havingCondition.binding }].filter(Boolean),
+      groupBy: groupByQuery,
+      meta: orderBy.length ? { ...meta, orderBy } : meta,
+      filters,
+      filterRules,
+      search,
+      searchRules,
+      sortRules,
+      paginate: Boolean(meta)
+    };
+  }
+
+  /**
+   * Compile the builder to the SQL query (without the total count)
+   *
+   * @param output {string} 'named' (by default) or 'positional' (see toPositionalQuery)
+   * @return {object} - { preparedQuery, bindings } and { text, values } for the positional output
+   *                    For the cursor pagination also getCursors(rows)
+   */
+  compile({ output = 'named' } = {}) {
+    const { preparedQuery, bindings, cursor } = buildSQLQuery(this.toOptions());
+
+    const result = createQueryOutput({ preparedQuery, bindings }, output);
+
+    if (cursor) result.getCursors = (rows) => getCursors({ rows, cursor });
+
+    return result;
+  }
+
+  /**
+   * Prepare the query with the total count (see prepareSQLQuery)
+   *
+   * @param options {object} additional params for prepareSQLQuery (getTotalCount, countStrategy, executor, output, etc.)
+   * @return {Promise<object>} - { preparedQuery, bindings, totalCount }
+   */
+  prepare(options = {}) {
+    return prepareSQLQuery({ ...this.toOptions(), ...options });
+  }
+
+  /**
+   * Execute the query and get records with the total count and the page info (see executeSQLQuery)
+   *
+   * @param options {object} additional params for executeSQLQuery (getTotalCount, countStrategy, executor, etc.)
+   * @return {Promise<object>} - { data, totalCount, pageInfo: { page, perPage, hasNext, hasPrev } }
+   */
+  execute(options = {}) {
+    return executeSQLQuery({ ...this.toOptions(), ...options });
+  }
+}
+
 export default prepareSQLQuery;
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSQLQuery, createAggregateQuery, createAggregateSortRules, createRelationArgsQuery } from '../src/index.mjs';
+
+const answerSQLFields = {
+  tableName: 'data.answers an',
+  scope: (context) => ({ query: 'an.tenant_id = :tenantId', binding: { tenantId: context.tenantId } }),
+  id: { select: ['an.id'] }
+};
+
+const feedbackSQLFields = {
+  tableName: 'data.feedbacks f',
+  id: { select: ['f.id'] },
+  answersCount: { aggregate: 'count', relation: answerSQLFields, where: { query: 'an.feedback_id = f.id' } },
+  goodAnswersCount: {
+    aggregate: 'count',
+    relation: 'data.answers g',
+    where: { query: 'g.feedback_id = f.id AND g.score >= :minScore', binding: { minScore: 4 } }
+  }
+};
+
+const context = { tenantId: 3 };
+
+describe('aggregate fields', () => {
+  it('creates a correlated subquery with the scope of the relation model', () => {
+    assert.deepEqual(createAggregateQuery({ name: 'answersCount', modelField: feedbackSQLFields.answersCount, context }), {
+      query: '(SELECT count(*) FROM data.answers an WHERE (an.feedback_id = f.id) AND (an.tenant_id = :tenantId))',
+      binding: { tenantId: 3 }
+    });
+  });
+
+  it('keeps bindings of the aggregate in the sort rules', () => {
+    const sortRules = createAggregateSortRules(feedbackSQLFields, context);
+    const { preparedQuery, bindings } = buildSQLQuery({
+      mainQuery: 'SELECT f.id FROM data.feedbacks f',
+      meta: { orderBy: ['-answersCount', 'goodAnswersCount'] },
+      sortRules
+    });
+
+    assert.match(preparedQuery, /ORDER BY \(SELECT count\(\*\) FROM data\.answers an WHERE .+ DESC, \(SELECT count\(\*\) FROM data\.answers g WHERE .+\) ASC OFFSET/);
+    assert.deepEqual(bindings, { tenantId: 3, minScore: 4, meta_perPage: 25, meta_offset: 0 });
+  });
+
+  it('keeps bindings of the aggregate in the sorting of relation arguments', () => {
+    const modelField = { relation: feedbackSQLFields, type: [], sortRules: createAggregateSortRules(feedbackSQLFields, context) };
+    const { where, sorting } = createRelationArgsQuery({ name: 'feedbacks', modelField, args: { orderBy: '-goodAnswersCount' } });
+
+    assert.match(sorting, /^ ORDER BY \(SELECT count\(\*\) FROM data\.answers g WHERE g\.feedback_id = f\.id AND g\.score >= :minScore\) DESC$/);
+    assert.deepEqual(where, [{ binding: { minScore: 4 } }]);
+  });
+});
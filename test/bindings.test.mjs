@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSQLQuery, createSqlQueryForBuilder, mergeBindings, namespacePlaceholders, postgreSqlBuilder } from '../src/index.mjs';
+
+const userSQLFields = { tableName: 'data.users u', id: { select: ['u.id'] }, firstName: { select: ['u.first_name'] } };
+
+const answerSQLFields = {
+  tableName: 'data.answers an',
+  id: { select: ['an.id'] },
+  author: { relation: userSQLFields, type: {}, where: { query: 'u.id = an.author_id AND u.status = :status', binding: { status: 'active' } } }
+};
+
+const feedbackSQLFields = {
+  tableName: 'data.feedbacks f',
+  id: { select: ['f.id'] },
+  author: { relation: userSQLFields, type: {}, where: { query: 'u.id = f.author_id AND u.status = :status', binding: { status: 'blocked' } } },
+  answers: { relation: answerSQLFields, type: [], where: { query: 'an.feedback_id = f.id' } }
+};
+
+describe('namespaces of bindings', () => {
+  it('renames only placeholders from the bindings', () => {
+    assert.deepEqual(namespacePlaceholders('u.id = :userId AND u.status = :status AND u.type::text = :type', { userId: 1 }, 'author'), {
+      query: 'u.id = :author__userId AND u.status = :status AND u.type::text = :type',
+      bindings: { author__userId: 1 }
+    });
+  });
+
+  it('uses the namespace of every relation, so the same placeholder can have different values', () => {
+    const builderData = postgreSqlBuilder({
+      modelSQLField: feedbackSQLFields,
+      fieldsData: [
+        { name: 'id' },
+        { name: 'author', fields: [{ name: 'firstName' }] },
+        { name: 'answers', fields: [{ name: 'id' }, { name: 'author', fields: [{ name: 'id' }] }] }
+      ]
+    });
+
+    const { preparedQuery, bindings } = createSqlQueryForBuilder({
+      ...builderData,
+      where: [...builderData.where, { query: 'f.status = :status', binding: { status: 'new' } }]
+    });
+
+    assert.match(preparedQuery, /WHERE \(u\.id = f\.author_id AND u\.status = :author__status\)/);
+    assert.match(preparedQuery, /WHERE \(u\.id = an\.author_id AND u\.status = :answers__author__status\)/);
+    assert.match(preparedQuery, / WHERE \(f\.status = :status\)$/);
+    assert.deepEqual(bindings, { author__status: 'blocked', answers__author__status: 'active', status: 'new' });
+  });
+});
+
+describe('mergeBindings', () => {
+  it('merges the same values and rejects different values of a placeholder', () => {
+    assert.deepEqual(mergeBindings({ userId: 1, tags: ['a'] }, { userId: 1, tags: ['a'], year: 2020 }), { userId: 1, tags: ['a'], year: 2020 });
+    assert.throws(() => mergeBindings({ userId: 1 }, { userId: 2 }), /^Error: Binding conflict: the placeholder ":userId" receives two different values$/);
+    assert.throws(() => mergeBindings({ tags: ['a'] }, { tags: ['b'] }, 'where conditions'), /Binding conflict in where conditions: the placeholder ":tags"/);
+  });
+
+  it('rejects different values of a placeholder in where conditions', () => {
+    const mainQuery = 'SELECT f.id FROM data.feedbacks f';
+    const where = [{ query: 'f.author_id = :userId', binding: { userId: 1 } }];
+
+    assert.throws(() => buildSQLQuery({ mainQuery, where: [...where, { query: 'f.editor_id = :userId', binding: { userId: 2 } }] }), /Binding conflict/);
+    assert.deepEqual(buildSQLQuery({ mainQuery, where: [...where, { query: 'f.editor_id = :userId', binding: { userId: 1 } }] }).bindings, { userId: 1, meta_perPage: 25, meta_offset: 0 });
+  });
+});
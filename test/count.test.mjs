@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import prepareSQLQuery, { createFakeExecutor, encodeCursor, encodeOffsetCursor, getCountRecords } from '../src/index.mjs';
+
+const mainQuery = 'SELECT a.id, a.title FROM data.articles a';
+const where = [{ query: 'a.user_id = :userId', binding: { userId: 1 } }];
+const meta = { perPage: 10, offset: 20 };
+
+describe('count strategies of prepareSQLQuery', () => {
+  it('uses explainAnalyze by default', async () => {
+    const executor = createFakeExecutor([[{ 'QUERY PLAN': 'Seq Scan on articles a  (cost=0.00..1.10 rows=10 width=4) (actual rows=37 loops=1)' }]]);
+    const query = await prepareSQLQuery({ mainQuery, where, meta, executor });
+
+    assert.equal(query.totalCount, 37);
+    assert.match(executor.calls[0].sql, /^EXPLAIN \(ANALYZE, TIMING OFF\) SELECT a\.id FROM data\.articles a WHERE/);
+    assert.deepEqual(executor.calls[0].bindings, { userId: 1 });
+  });
+
+  it('counts records by the exact strategy', async () => {
+    const executor = createFakeExecutor([[{ count: '42' }]]);
+    const query = await prepareSQLQuery({ mainQuery, where, meta, countStrategy: 'exact', executor });
+
+    assert.equal(query.totalCount, 42);
+    assert.equal(executor.calls[0].sql, `SELECT count(*) AS count FROM (${mainQuery} WHERE (a.user_id = :userId)) AS count_query`);
+    assert.deepEqual(executor.calls[0].bindings, { userId: 1 });
+  });
+
+  it('gets the planner estimate by the estimate strategy', async () => {
+    const executor = createFakeExecutor([[{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 1500 } }] }]]);
+    const query = await prepareSQLQuery({ mainQuery, where, meta, countStrategy: 'estimate', executor });
+
+    assert.equal(query.totalCount, 1500);
+    assert.match(executor.calls[0].sql, /^EXPLAIN \(FORMAT JSON\) SELECT a\.id, a\.title FROM/);
+  });
+
+  it('adds COUNT(*) OVER() by the window strategy', async () => {
+    const executor = createFakeExecutor();
+    const query = await prepareSQLQuery({ mainQuery, where, meta, countStrategy: 'window', executor });
+
+    assert.equal(executor.calls.length, 0);
+    assert.equal(query.totalCount, null);
+    assert.match(query.preparedQuery, /^SELECT a\.id, a\.title, COUNT\(\*\) OVER\(\) AS __total_count FROM data\.articles a/);
+    assert.equal(query.countFromRows([{ id: 1, __total_count: '25' }]), 25);
+    assert.equal(query.countFromRows([]), 0);
+  });
+
+  it('uses the exact count for SELECT DISTINCT with the window strategy', async () => {
+    const executor = createFakeExecutor([[{ count: 3 }]]);
+    const query = await prepareSQLQuery({ mainQuery: 'SELECT DISTINCT a.id FROM data.articles a', where, meta, countStrategy: 'window', executor });
+
+    assert.equal(query.totalCount, 3);
+    assert.equal(query.countFromRows, undefined);
+    assert.doesNotMatch(query.preparedQuery, /OVER\(\)/);
+    assert.match(executor.calls[0].sql, /^SELECT count\(\*\) AS count FROM \(SELECT DISTINCT a\.id/);
+  });
+
+  it('uses the exact count for UNION with the window strategy', async () => {
+    const executor = createFakeExecutor([[{ count: 8 }]]);
+    const unionQuery = 'SELECT id FROM data.articles UNION SELECT id FROM data.news';
+    const query = await prepareSQLQuery({ mainQuery: unionQuery, where: [], meta, orderRaw: 'ORDER BY id', countStrategy: 'window', executor });
+
+    assert.equal(query.totalCount, 8);
+    assert.equal(query.countFromRows, undefined);
+    assert.equal(executor.calls[0].sql, `SELECT count(*) AS count FROM (${unionQuery}) AS count_query`);
+  });
+
+  it('uses the exact count for the cursor pagination with the window strategy', async () => {
+    const executor = createFakeExecutor([[{ count: 5 }]]);
+    const after = encodeCursor(['id'], [3]);
+    const query = await prepareSQLQuery({ mainQuery, where, meta: { perPage: 10, after, orderBy: 'id' }, sortingTableName: 'a', countStrategy: 'window', executor });
+
+    assert.equal(query.totalCount, 5);
+    assert.equal(query.countFromRows, undefined);
+    assert.doesNotMatch(query.preparedQuery, /OVER\(\)/);
+  });
+
+  it('keeps the window strategy for cursors of the offset pagination', async () => {
+    const executor = createFakeExecutor();
+    const query = await prepareSQLQuery({ mainQuery, where, meta: { perPage: 10, after: encodeOffsetCursor(9) }, countStrategy: 'window', executor });
+
+    assert.equal(executor.calls.length, 0);
+    assert.match(query.preparedQuery, /COUNT\(\*\) OVER\(\) AS __total_count/);
+    assert.equal(query.bindings.meta_offset, 10);
+  });
+
+  it('does not count records without getTotalCount', async () => {
+    const executor = createFakeExecutor();
+    const query = await prepareSQLQuery({ mainQuery, where, meta, getTotalCount: false, countStrategy: 'exact', executor });
+
+    assert.equal(executor.calls.length, 0);
+    assert.equal(query.totalCount, 0);
+  });
+
+  it('rejects an unknown strategy', async () => {
+    await assert.rejects(prepareSQLQuery({ mainQuery, where, meta, countStrategy: 'fast' }), /Incorrect countStrategy value/);
+  });
+});
+
+describe('getCountRecords', () => {
+  it('uses explainAnalyze by default', async () => {
+    const executor = createFakeExecutor([[{ queryPlan: 'Seq Scan (actual rows=5 loops=1)' }]]);
+
+    assert.equal(await getCountRecords({ mainQuery, bindings: {}, executor }), 5);
+    assert.match(executor.calls[0].sql, /^EXPLAIN \(ANALYZE, TIMING OFF\)/);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import prepareSQLQuery, { createConnection, createMetaQuery, createSeekCondition, encodeCursor, getCursors } from '../src/index.mjs';
+
+describe('createSeekCondition', () => {
+  it('uses a row comparison for not nullable columns with the same direction', () => {
+    const { query, binding } = createSeekCondition({
+      columns: [{ column: 'a.created_at', direction: 'DESC', nullable: false }, { column: 'a.id', direction: 'DESC', nullable: false }],
+      values: ['2024-01-01', 5]
+    });
+
+    assert.equal(query, '(a.created_at, a.id) < (:meta_cursor0, :meta_cursor1)');
+    assert.deepEqual(binding, { meta_cursor0: '2024-01-01', meta_cursor1: 5 });
+  });
+
+  it('includes NULLs which are after the cursor value (ASC puts NULLs last)', () => {
+    const { query } = createSeekCondition({
+      columns: [{ column: 'a.published_at', direction: 'ASC' }, { column: 'a.id', direction: 'ASC', nullable: false }],
+      values: ['2024-01-01', 5]
+    });
+
+    assert.equal(query, '((a.published_at > :meta_cursor0 OR a.published_at IS NULL)) OR (a.published_at = :meta_cursor0 AND a.id > :meta_cursor1)');
+  });
+
+  it('does not include NULLs which are before the cursor value (NULLS FIRST)', () => {
+    const { query } = createSeekCondition({ columns: [{ column: 'a.score', direction: 'ASC', nulls: 'FIRST' }], values: [3] });
+
+    assert.equal(query, '(a.score > :meta_cursor0)');
+  });
+
+  it('compares a NULL value of the cursor with IS NULL', () => {
+    const { query, binding } = createSeekCondition({
+      columns: [{ column: 'a.published_at', direction: 'DESC' }, { column: 'a.id', direction: 'DESC', nullable: false }],
+      values: [null, 5]
+    });
+
+    assert.equal(query, '(a.published_at IS NOT NULL) OR (a.published_at IS NULL AND a.id < :meta_cursor1)');
+    assert.deepEqual(binding, { meta_cursor1: 5 });
+  });
+
+  it('places NULLs in the reverse order for the previous page', () => {
+    const { query } = createSeekCondition({ columns: [{ column: 'a.published_at', direction: 'DESC' }], values: ['2024-01-01'], reverse: true });
+
+    assert.equal(query, '((a.published_at > :meta_cursor0 OR a.published_at IS NULL))');
+  });
+
+  it('returns false if nothing is after the cursor', () => {
+    const { query } = createSeekCondition({ columns: [{ column: 'a.published_at', direction: 'ASC' }], values: [null] });
+
+    assert.equal(query, 'false');
+  });
+});
+
+describe('prepareSQLQuery with the cursor pagination', () => {
+  it('uses nullable from the sort rules', async () => {
+    const sortRules = {
+      publishedAt: { table: 'a', field: 'published_at', query: null },
+      id: { table: 'a', field: 'id', query: null, nullable: false }
+    };
+
+    const query = await prepareSQLQuery({
+      mainQuery: 'SELECT a.id, a.published_at FROM data.articles a',
+      where: [],
+      meta: { pagination: 'cursor', perPage: 10, orderBy: ['publishedAt', 'id'], after: encodeCursor(['published_at', 'id'], [null, 7]) },
+      sortRules,
+      getTotalCount: false
+    });
+
+    assert.match(query.preparedQuery, /WHERE \(\(a\.published_at IS NULL AND a\.id > :meta_cursor1\)\) ORDER BY a\.published_at ASC, a\.id ASC/);
+    assert.deepEqual(query.bindings, { meta_cursor1: 7, meta_perPage: 10 });
+  });
+});
+
+describe('createMetaQuery with the cursor pagination', () => {
+  const name = { table: 'u', field: 'first_name', query: 'LOWER(u.first_name)' };
+
+  it('requires cursorKey of a sort rule with the query', () => {
+    assert.throws(
+      () => createMetaQuery({ pagination: 'cursor', orderBy: ['name', 'id'] }, null, null, { name, id: { table: 'u', field: 'id' } }),
+      /requires the cursorKey of the sort rule "name"/
+    );
+  });
+
+  it('stores the value of the query in the cursor', () => {
+    const rules = { name: { ...name, cursorKey: 'name_sort' }, id: { table: 'u', field: 'id', nullable: false } };
+    const { cursor } = createMetaQuery({ pagination: 'cursor', orderBy: ['name', 'id'] }, null, null, rules);
+
+    const { nextCursor } = getCursors({ rows: [{ id: 3, first_name: 'Bob', name_sort: 'bob' }, { id: 4, first_name: 'Tom', name_sort: 'tom' }], cursor: { ...cursor, perPage: 1 } });
+
+    assert.equal(nextCursor, encodeCursor(['name_sort', 'id'], ['bob', 3]));
+
+    const { cursor: next } = createMetaQuery({ orderBy: ['name', 'id'], after: nextCursor }, null, null, rules);
+
+    assert.deepEqual(next.seek.binding, { meta_cursor0: 'bob', meta_cursor1: 3 });
+  });
+});
+
+describe('getCursors', () => {
+  const cursor = { keys: ['id'], perPage: 2, after: null, before: null };
+
+  it('creates cursors only for the next and the previous page', () => {
+    // The last record (perPage + 1) is not in data, the middle record doesn't have the sorting field
+    const page = getCursors({ rows: [{ id: 1 }, { id: 2 }, { name: 'x' }], cursor });
+
+    assert.deepEqual(page.data, [{ id: 1 }, { id: 2 }]);
+    assert.equal(page.nextCursor, encodeCursor(['id'], [2]));
+    assert.equal(page.prevCursor, null);
+  });
+
+  it('does not require sorting fields of records without cursors', () => {
+    const page = getCursors({ rows: [{ name: 'x' }], cursor });
+
+    assert.equal(page.nextCursor, null);
+    assert.throws(() => page.cursors, /requires the sorting field "id"/);
+  });
+});
+
+describe('createConnection with the offset pagination', () => {
+  const mainQuery = 'SELECT a.id FROM data.articles a';
+  const rows = (from, count) => Array.from({ length: count }, (_, index) => ({ id: from + index }));
+
+  it('uses the cursors of a connection as after and before', async () => {
+    const first = await prepareSQLQuery({ mainQuery, where: [], meta: { perPage: 2 }, getTotalCount: false });
+    const firstPage = createConnection({ rows: rows(1, 2), totalCount: 5, query: first });
+
+    assert.deepEqual(first.bindings, { meta_perPage: 2, meta_offset: 0 });
+    assert.equal(firstPage.pageInfo.hasNextPage, true);
+
+    const second = await prepareSQLQuery({ mainQuery, where: [], meta: { perPage: 2, after: firstPage.pageInfo.endCursor }, getTotalCount: false });
+    const secondPage = createConnection({ rows: rows(3, 2), totalCount: 5, query: second });
+
+    assert.match(second.preparedQuery, /OFFSET :meta_offset LIMIT :meta_perPage$/);
+    assert.deepEqual(second.bindings, { meta_perPage: 2, meta_offset: 2 });
+    assert.equal(second.getCursors, undefined);
+    assert.deepEqual(secondPage.pageInfo, {
+      hasNextPage: true,
+      hasPreviousPage: true,
+      startCursor: secondPage.edges[0].cursor,
+      endCursor: secondPage.edges[1].cursor
+    });
+
+    const third = await prepareSQLQuery({ mainQuery, where: [], meta: { perPage: 2, after: secondPage.pageInfo.endCursor }, getTotalCount: false });
+    const thirdPage = createConnection({ rows: rows(5, 1), totalCount: 5, query: third });
+
+    assert.deepEqual(third.bindings, { meta_perPage: 2, meta_offset: 4 });
+    assert.equal(thirdPage.pageInfo.hasNextPage, false);
+
+    // Back to the second page
+    const previous = await prepareSQLQuery({ mainQuery, where: [], meta: { perPage: 2, before: thirdPage.pageInfo.startCursor }, getTotalCount: false });
+
+    assert.deepEqual(previous.bindings, { meta_perPage: 2, meta_offset: 2 });
+    assert.equal(createConnection({ rows: rows(3, 2), totalCount: 5, query: previous }).edges[0].cursor, secondPage.edges[0].cursor);
+  });
+
+  it('does not return records after the cursor for the short previous page', async () => {
+    const query = await prepareSQLQuery({ mainQuery, where: [], meta: { perPage: 5, before: createConnection({ rows: rows(1, 3), meta: {} }).edges[1].cursor }, getTotalCount: false });
+
+    assert.deepEqual(query.bindings, { meta_perPage: 1, meta_offset: 0 });
+  });
+});
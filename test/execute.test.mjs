@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeExecutor, executeSQLQuery } from '../src/index.mjs';
+
+const where = [{ query: 'u.type = :type', binding: { type: 'client' } }];
+const meta = { perPage: 2, offset: 0 };
+
+describe('executeSQLQuery', () => {
+  it('gets records and the total count by one query', async () => {
+    const executor = createFakeExecutor([[{ id: 1, total_count: 7, __total_count: '3' }, { id: 2, total_count: 8, __total_count: '3' }]]);
+    const result = await executeSQLQuery({ mainQuery: 'SELECT u.id, u.total_count FROM data.users u', where, meta, sortingTableName: 'u', executor });
+
+    assert.equal(executor.calls.length, 1);
+    assert.match(executor.calls[0].sql, /COUNT\(\*\) OVER\(\) AS __total_count FROM data\.users u/);
+    assert.deepEqual(result, {
+      data: [{ id: 1, total_count: 7 }, { id: 2, total_count: 8 }],
+      totalCount: 3,
+      pageInfo: { page: 1, perPage: 2, hasNext: true, hasPrev: false }
+    });
+  });
+
+  it('uses the exact count for SELECT DISTINCT with default options', async () => {
+    const executor = createFakeExecutor([[{ count: '1' }], [{ id: 1 }]]);
+    const result = await executeSQLQuery({ mainQuery: 'SELECT DISTINCT u.id FROM data.users u', where, meta, sortingTableName: 'u', executor });
+
+    assert.match(executor.calls[0].sql, /^SELECT count\(\*\) AS count FROM \(SELECT DISTINCT u\.id FROM data\.users u WHERE/);
+    assert.doesNotMatch(executor.calls[1].sql, /OVER\(\)/);
+    assert.deepEqual(result, { data: [{ id: 1 }], totalCount: 1, pageInfo: { page: 1, perPage: 2, hasNext: false, hasPrev: false } });
+  });
+
+  it('uses the exact count for UNION with default options', async () => {
+    const executor = createFakeExecutor([[{ count: 5 }], [{ id: 1 }, { id: 2 }]]);
+    const mainQuery = 'SELECT id FROM data.users UNION SELECT id FROM data.admins';
+    const result = await executeSQLQuery({ mainQuery, where: [], meta, orderRaw: 'ORDER BY id', executor });
+
+    assert.equal(executor.calls[0].sql, `SELECT count(*) AS count FROM (${mainQuery}) AS count_query`);
+    assert.equal(result.totalCount, 5);
+    assert.equal(result.pageInfo.hasNext, true);
+  });
+});
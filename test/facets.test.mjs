@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSQLQuery } from '../src/index.mjs';
+
+const filterRules = {
+  year: { table: 'a', field: 'year', query: null },
+  status: { table: 'a', field: 'status', query: null }
+};
+
+const mainQuery = 'SELECT a.id FROM data.articles a';
+
+describe('facets', () => {
+  it('removes the own filter of a facet from groups and uses the namespace of the facet', () => {
+    const filters = { year: 2024, or: [{ year: 2023 }, { status: 'x' }], not: { year: 2020 } };
+    const { facetsQuery } = buildSQLQuery({ mainQuery, filters, filterRules, facets: ['year', 'status'] });
+    const [yearQuery, statusQuery] = facetsQuery.query.split(' UNION ALL ');
+
+    assert.equal(yearQuery, "(SELECT 'year' AS facet, to_jsonb(a.year) AS value, count(*) AS count FROM data.articles a WHERE ((TRUE) OR ((a.status = :facet_year_status))) GROUP BY a.year)");
+    assert.equal(
+      statusQuery,
+      "(SELECT 'status' AS facet, to_jsonb(a.status) AS value, count(*) AS count FROM data.articles a "
+      + 'WHERE (a.year = :facet_status_year) AND (((a.year = :facet_status_year_1)) OR (TRUE)) AND (NOT ((a.year = :facet_status_year_2))) GROUP BY a.status)'
+    );
+    assert.deepEqual(facetsQuery.bindings, { facet_year_status: 'x', facet_status_year: 2024, facet_status_year_1: 2023, facet_status_year_2: 2020 });
+  });
+
+  it('removes a not group with the own filter, so the facet condition is not stricter', () => {
+    const filters = { not: { year: 2020, status: 'x' }, or: [{ status: 'y' }, { not: { year: 2021 } }] };
+    const { facetsQuery } = buildSQLQuery({ mainQuery, filters, filterRules, facets: ['year', 'status'] });
+    const [yearQuery, statusQuery] = facetsQuery.query.split(' UNION ALL ');
+
+    assert.match(yearQuery, / WHERE \(\(\(a\.status = :facet_year_status\)\) OR \(TRUE\)\) GROUP BY a\.year\)$/);
+    // The not group has the status filter too
+    assert.match(statusQuery, / WHERE \(\(TRUE\) OR \(\(NOT \(\(a\.year = :facet_status_year\)\)\)\)\) GROUP BY a\.status\)$/);
+  });
+
+  it('rejects keys of the object prototype', () => {
+    for (const key of ['constructor', 'toString']) {
+      assert.throws(() => buildSQLQuery({ mainQuery, filterRules, facets: [key] }), /Unknown filter field/);
+    }
+  });
+
+  it('rejects main queries that can not be counted per facet', () => {
+    const queries = ['SELECT DISTINCT a.id FROM data.articles a', `${mainQuery} UNION SELECT b.id FROM data.books b`, 'SELECT 1'];
+    const errors = [/SELECT DISTINCT in the main query is not supported by facets!/, /UNION, INTERSECT and EXCEPT/, /SELECT \.\.\. FROM in the main query is required by facets!/];
+
+    queries.forEach((query, index) => assert.throws(() => buildSQLQuery({ mainQuery: query, filterRules, facets: ['year'] }), errors[index]));
+  });
+});
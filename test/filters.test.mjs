@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { filtersHelper } from '../src/index.mjs';
+
+const rules = {
+  year: { table: 'a', field: 'year', query: null },
+  status: { table: 'a', field: 'status', query: null, operators: ['eq', 'in'] }
+};
+
+describe('filtersHelper', () => {
+  it('creates conditions with operators and groups', () => {
+    const [year, group] = filtersHelper({ filters: { year: { gte: 2020 }, or: [{ status: 'new' }, { status: { in: ['a', 'b'] } }] }, rules });
+
+    assert.deepEqual(year, { query: 'a.year >= :filter_year_gte', binding: { filter_year_gte: 2020 } });
+    assert.equal(group.query, '((a.status = :filter_status)) OR ((a.status IN (:filter_status_in)))');
+  });
+
+  it('rejects keys of the object prototype', () => {
+    for (const key of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.throws(() => filtersHelper({ filters: JSON.parse(`{ "${key}": 1 }`), rules }), /Unknown filter field/);
+    }
+  });
+
+  it('rejects objects with unknown operators', () => {
+    assert.throws(() => filtersHelper({ filters: { year: { gtee: 10 } }, rules }), /Unknown operator "gtee" for the filter field "year"/);
+    assert.throws(() => filtersHelper({ filters: { year: { gte: 10, lte2: 20 } }, rules }), /Unknown operator "lte2"/);
+  });
+
+  it('rejects operators which are not allowed by the rule', () => {
+    assert.throws(() => filtersHelper({ filters: { status: { like: 'x' } }, rules }), /Operator "like" is not allowed/);
+  });
+});
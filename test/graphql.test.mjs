@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getFieldsFromGraphQl } from '../src/index.mjs';
+
+// Minimal GraphQL AST nodes (the same shape as graphql-js creates)
+const name = (value) => ({ kind: 'Name', value });
+const selectionSet = (selections) => ({ kind: 'SelectionSet', selections });
+const variable = (value) => ({ kind: 'Variable', name: name(value) });
+
+const directive = (directiveName, value) => ({
+  kind: 'Directive',
+  name: name(directiveName),
+  arguments: [{ kind: 'Argument', name: name('if'), value }]
+});
+
+const field = (fieldName, { alias = null, args = {}, selections = null, directives = [] } = {}) => ({
+  kind: 'Field',
+  name: name(fieldName),
+  alias: alias ? name(alias) : undefined,
+  arguments: Object.entries(args).map(([key, value]) => ({ kind: 'Argument', name: name(key), value })),
+  directives,
+  selectionSet: selections ? selectionSet(selections) : undefined
+});
+
+const createInfo = (selections, { fragments = {}, variableValues = {} } = {}) => ({
+  fieldNodes: [field('feedback', { selections })],
+  fragments,
+  variableValues
+});
+
+describe('getFieldsFromGraphQl', () => {
+  it('collects fields of named and inline fragments', () => {
+    const fragments = {
+      FeedbackFields: { kind: 'FragmentDefinition', name: name('FeedbackFields'), selectionSet: selectionSet([field('id'), field('title')]) }
+    };
+
+    const info = createInfo(
+      [
+        { kind: 'FragmentSpread', name: name('FeedbackFields'), directives: [] },
+        { kind: 'FragmentSpread', name: name('FeedbackFields'), directives: [] },
+        { kind: 'InlineFragment', directives: [], selectionSet: selectionSet([field('createdAt'), field('__typename')]) }
+      ],
+      { fragments }
+    );
+
+    assert.deepEqual(getFieldsFromGraphQl(info), [
+      { name: 'id', fields: null, args: {} },
+      { name: 'title', fields: null, args: {} },
+      { name: 'createdAt', fields: null, args: {} }
+    ]);
+  });
+
+  it('applies @include and @skip with variables', () => {
+    const selections = [
+      field('id'),
+      field('title', { directives: [directive('include', variable('withTitle'))] }),
+      field('score', { directives: [directive('skip', variable('withoutScore'))] }),
+      { kind: 'InlineFragment', directives: [directive('include', { kind: 'BooleanValue', value: false })], selectionSet: selectionSet([field('createdAt')]) }
+    ];
+
+    const getNames = (variableValues) => getFieldsFromGraphQl(createInfo(selections, { variableValues })).map((item) => item.name);
+
+    assert.deepEqual(getNames({ withTitle: true, withoutScore: true }), ['id', 'title']);
+    assert.deepEqual(getNames({ withTitle: false, withoutScore: false }), ['id', 'score']);
+  });
+
+  it('keeps aliased duplicates of a field and merges selections with the same response key', () => {
+    const info = createInfo([
+      field('answers', { alias: 'firstAnswers', args: { first: { kind: 'IntValue', value: '2' } }, selections: [field('id')] }),
+      field('answers', { alias: 'lastAnswers', args: { last: variable('count') }, selections: [field('id')] }),
+      field('answers', { alias: 'lastAnswers', args: { last: variable('count') }, selections: [field('text')] })
+    ], { variableValues: { count: 3 } });
+
+    assert.deepEqual(getFieldsFromGraphQl(info), [
+      { name: 'answers', alias: 'firstAnswers', fields: [{ name: 'id', fields: null, args: {} }], args: { first: 2 } },
+      {
+        name: 'answers',
+        alias: 'lastAnswers',
+        fields: [{ name: 'id', fields: null, args: {} }, { name: 'text', fields: null, args: {} }],
+        args: { last: 3 }
+      }
+    ]);
+  });
+});
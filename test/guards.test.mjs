@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSQLQuery, createRelationArgsQuery, getScopeConditions, guardRules, parseQueryParams } from '../src/index.mjs';
+
+const feedbackSQLFields = {
+  tableName: 'data.feedbacks f',
+  id: { select: ['f.id'] },
+  score: { select: ['f.score'] },
+  internalNote: { select: ['f.internal_note'], guard: (context) => context?.isAdmin || 'hide' }
+};
+
+const filterRules = {
+  score: { table: 'f', field: 'score', query: null },
+  internalNote: { table: 'f', field: 'internal_note', query: null }
+};
+
+const sortRules = {
+  score: { table: 'f', field: 'score' },
+  internalNote: { table: 'f', field: 'internal_note' }
+};
+
+describe('guardRules', () => {
+  it('removes keys of guarded fields', () => {
+    assert.deepEqual(Object.keys(guardRules({ rules: filterRules, modelSQLField: feedbackSQLFields })), ['score']);
+    assert.deepEqual(Object.keys(guardRules({ rules: filterRules, modelSQLField: feedbackSQLFields, context: { isAdmin: true } })), ['score', 'internalNote']);
+  });
+
+  it('rejects guarded keys in filters and sorting of buildSQLQuery', () => {
+    const options = { mainQuery: 'SELECT f.id FROM data.feedbacks f', filterRules, sortRules, modelSQLField: feedbackSQLFields };
+
+    assert.throws(() => buildSQLQuery({ ...options, filters: { internalNote: 'x' } }), /Unknown filter field "internalNote"/);
+    assert.throws(() => buildSQLQuery({ ...options, meta: { orderBy: 'internalNote' } }), /Unknown sorting field "internalNote"/);
+
+    const { preparedQuery } = buildSQLQuery({ ...options, filters: { internalNote: 'x' }, context: { isAdmin: true } });
+    assert.match(preparedQuery, /f\.internal_note = :filter_internalNote/);
+  });
+
+  it('rejects guarded keys in relation arguments', () => {
+    const modelField = { relation: feedbackSQLFields, type: [], filterRules, sortRules };
+
+    assert.throws(() => createRelationArgsQuery({ name: 'feedbacks', modelField, args: { filters: { internalNote: 'x' } } }), /Unknown filter field/);
+    assert.throws(() => createRelationArgsQuery({ name: 'feedbacks', modelField, args: { orderBy: 'internalNote' } }), /Unknown sorting field/);
+    assert.equal(createRelationArgsQuery({ name: 'feedbacks', modelField, args: { filters: { score: 5 } } }).where.length, 1);
+  });
+
+  it('returns 400 for guarded keys in query params', () => {
+    const options = { filterRules, sortRules, modelSQLField: feedbackSQLFields };
+
+    assert.throws(() => parseQueryParams({ ...options, query: { 'filter[internalNote]': 'x' } }), { status: 400, parameter: 'filter[internalNote]' });
+    assert.throws(() => parseQueryParams({ ...options, query: { sort: 'internalNote' } }), { status: 400, parameter: 'sort' });
+  });
+});
+
+describe('getScopeConditions', () => {
+  const articleSQLFields = {
+    tableName: 'data.articles a',
+    scope: (context) => ({ query: 'a.tenant_id = :tenantId', binding: { tenantId: context.tenantId } }),
+    defaultScope: { query: 'a.deleted_at IS NULL' },
+    id: { select: ['a.id'] }
+  };
+
+  it('requires the context for a scope function', () => {
+    assert.throws(() => getScopeConditions({ modelSQLField: articleSQLFields }), /The scope of the model "data\.articles a" requires a context!/);
+    assert.deepEqual(getScopeConditions({ modelSQLField: articleSQLFields, context: { tenantId: 3 } }), [
+      { query: 'a.tenant_id = :tenantId', binding: { tenantId: 3 } },
+      { query: 'a.deleted_at IS NULL' }
+    ]);
+  });
+
+  it('applies a scope object without the context', () => {
+    assert.deepEqual(getScopeConditions({ modelSQLField: { ...articleSQLFields, scope: null } }), [{ query: 'a.deleted_at IS NULL' }]);
+  });
+});
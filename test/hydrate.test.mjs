@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { postgreSqlBuilder } from '../src/index.mjs';
+
+const userSQLFields = {
+  tableName: 'data.users u',
+  id: { select: ['u.id'], type: 'integer' },
+  firstName: { select: ['u.first_name'] },
+  isActive: { select: ['u.is_active'], type: 'boolean' }
+};
+
+const answerSQLFields = {
+  tableName: 'data.answers an',
+  id: { select: ['an.id'], type: 'integer' },
+  createdAt: { select: ['an.created_at'], type: 'date' }
+};
+
+const feedbackSQLFields = {
+  tableName: 'data.feedbacks f',
+  id: { select: ['f.id'], type: 'integer' },
+  score: { select: ['f.score'], type: 'number' },
+  settings: { select: ['f.settings'], type: 'json' },
+  author: { relation: userSQLFields, type: {}, where: { query: 'u.id = f.author_id' } },
+  answers: { relation: answerSQLFields, type: [], where: { query: 'an.feedback_id = f.id' } },
+  answersCount: { aggregate: 'count', relation: answerSQLFields, where: { query: 'an.feedback_id = f.id' } }
+};
+
+const { hydrate, mapRow } = postgreSqlBuilder({
+  modelSQLField: feedbackSQLFields,
+  fieldsData: [
+    { name: 'id' },
+    { name: 'score' },
+    { name: 'settings' },
+    { name: 'author', fields: [{ name: 'firstName' }, { name: 'isActive' }] },
+    { name: 'answers', fields: [{ name: 'id' }, { name: 'createdAt' }] },
+    { name: 'answersCount' }
+  ]
+});
+
+describe('mapRow and hydrate', () => {
+  it('coerces values by the field types, also in relations and jsonb strings', () => {
+    const row = {
+      id: '1',
+      score: '4.5',
+      settings: '{"notify":true}',
+      author: '{"first_name":"Ann","is_active":"t"}',
+      answers: [{ id: '2', created_at: '2020-01-02T00:00:00.000Z' }],
+      answers_count: '3',
+      extra_column: 5
+    };
+
+    assert.deepEqual(mapRow(row), {
+      id: 1,
+      score: 4.5,
+      settings: { notify: true },
+      author: { firstName: 'Ann', isActive: true },
+      answers: [{ id: 2, createdAt: new Date('2020-01-02T00:00:00.000Z') }],
+      answersCount: 3,
+      extraColumn: 5
+    });
+  });
+
+  it('returns [] for an empty relation of the type [] and null for the type {}', () => {
+    const row = { id: 2, score: null, settings: null, author: null, answers: null, answers_count: '0' };
+
+    assert.deepEqual(hydrate([row]), [{ id: 2, score: null, settings: null, author: null, answers: [], answersCount: 0 }]);
+  });
+
+  it('maps an empty result', () => {
+    assert.deepEqual(hydrate([]), []);
+    assert.deepEqual(hydrate(null), []);
+    assert.equal(mapRow(null), null);
+  });
+});
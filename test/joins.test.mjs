@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJoinGraph } from '../src/index.mjs';
+
+const userSQLFields = {
+  tableName: 'data.users u',
+  joins: {
+    uset: { type: 'LEFT', table: 'data.user_settings', on: 'uset.user_id = u.id' },
+    a: { type: 'INNER', table: 'data.addresses', on: 'a.id = u.address_id' },
+    c: { type: 'LEFT', table: 'data.cities', on: 'c.id = a.city_id', dependsOn: ['a'] }
+  },
+  id: { select: ['u.id'] }
+};
+
+describe('createJoinGraph', () => {
+  it('adds every join once and the joins of dependsOn before the join', () => {
+    const joinGraph = createJoinGraph(userSQLFields);
+
+    joinGraph.addJoin('c', 'city');
+    joinGraph.addJoin('a', 'address');
+    joinGraph.addJoin('LEFT JOIN data.user_settings uset ON uset.user_id  =  u.id');
+    joinGraph.addJoin('uset', 'currency');
+
+    assert.equal(joinGraph.getQuery(), [
+      'INNER JOIN data.addresses a ON a.id = u.address_id',
+      'LEFT JOIN data.cities c ON c.id = a.city_id',
+      'LEFT JOIN data.user_settings uset ON uset.user_id  =  u.id'
+    ].join('\n'));
+  });
+
+  it('merges INNER and LEFT joins of the same alias to LEFT JOIN', () => {
+    for (const types of [['INNER', 'LEFT'], ['LEFT', 'INNER']]) {
+      const joinGraph = createJoinGraph(userSQLFields);
+
+      types.forEach((type) => joinGraph.addJoin({ type, table: 'data.addresses', alias: 'a', on: 'a.id = u.address_id' }));
+
+      assert.equal(joinGraph.getQuery(), 'LEFT JOIN data.addresses a ON a.id = u.address_id');
+    }
+  });
+
+  it('rejects other join types of the same alias', () => {
+    const joinGraph = createJoinGraph(userSQLFields);
+
+    joinGraph.addJoin('a');
+
+    assert.throws(
+      () => joinGraph.addJoin('RIGHT JOIN data.addresses a ON a.id = u.address_id', 'address'),
+      /Join type conflict in the model "data\.users u" \(field "address"\): alias "a" is used with INNER and RIGHT joins/
+    );
+  });
+
+  it('rejects alias clashes', () => {
+    const joinGraph = createJoinGraph(userSQLFields);
+
+    joinGraph.addJoin('a');
+
+    assert.throws(() => joinGraph.addJoin('INNER JOIN data.accounts a ON a.id = u.account_id', 'account'), /Join alias clash in the model "data\.users u" \(field "account"\): alias "a" is already used for another join/);
+    assert.throws(() => joinGraph.addJoin('INNER JOIN data.addresses a ON a.id = u.billing_address_id'), /alias "a" is already used for another join/);
+    assert.throws(() => joinGraph.addJoin('INNER JOIN data.users u ON u.id = a.user_id'), /alias "u" is used by the main table/);
+  });
+
+  it('validates joins of the model', () => {
+    const joinGraph = createJoinGraph({ ...userSQLFields, joins: { uset: { on: 'uset.user_id = u.id' } } });
+
+    assert.throws(() => joinGraph.addJoin('uset', 'currency'), /Invalid join "uset" in the model "data\.users u" \(field "currency"\): table is required/);
+    assert.throws(() => joinGraph.addJoin({ table: 'data.addresses', alias: 'a' }), /Invalid join "a" .+: the ON condition is required/);
+    assert.throws(() => joinGraph.addJoin({ type: 'OUTER', table: 'data.addresses', alias: 'a', on: 'a.id = u.address_id' }), /unknown join type "OUTER"/);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defineModel, postgreSqlBuilder } from '../src/index.mjs';
+
+const userSQLFields = { tableName: 'data.users u', id: { select: ['u.id'] }, firstName: { select: ['u.first_name'] } };
+
+// A self-referencing model: the manager of a user is a user
+userSQLFields.manager = { relation: userSQLFields, type: {}, where: { query: 'u.id = u.manager_id' } };
+
+describe('defineModel', () => {
+  it('returns the same model and validates a self-referencing relation once', () => {
+    assert.equal(defineModel(userSQLFields), userSQLFields);
+  });
+
+  it('rejects invalid models', () => {
+    const cases = [
+      [null, /^Error: Invalid model: the model must be an object$/],
+      [{ id: { select: ['u.id'] } }, /Invalid model: tableName is required/],
+      [{ tableName: 'data.users u', joins: { a: { on: 'a.id = u.address_id' } } }, /Invalid model "data\.users u": table is required for the join "a"/],
+      [{ tableName: 'data.users u', joins: { c: { table: 'data.cities', on: 'c.id = a.city_id', dependsOn: ['a'] } } }, /the join "c" depends on the unknown join "a"/],
+      [{ tableName: 'data.users u', scope: { query: 'u.tenant_id = 1' } }, /scope must be a function/],
+      [{ tableName: 'data.users u', writable: { email: '' } }, /the writable field "email" needs a column name/],
+      [{ tableName: 'data.users u', id: { selects: ['u.id'] } }, /Invalid model "data\.users u" \(field "id"\): unknown keys selects/],
+      [{ tableName: 'data.users u', id: {} }, /\(field "id"\): select, relation or aggregate is required/],
+      [{ tableName: 'data.users u', id: { select: 'u.id' } }, /\(field "id"\): select must be an array of strings/],
+      [{ tableName: 'data.users u', id: { select: ['u.id'], type: 'bigint' } }, /\(field "id"\): type must be one of string, number, integer, boolean, date, json/],
+      [{ tableName: 'data.users u', manager: { relation: userSQLFields, where: { query: 'u.id = u.manager_id' } } }, /\(field "manager"\): type is required for the relation/],
+      [{ tableName: 'data.users u', manager: { relation: userSQLFields, type: {}, scopes: ['active'] } }, /\(field "manager"\): unknown scopes active of the relation model/],
+      [{ tableName: 'data.users u', manager: { relation: { tableName: 'data.users m', id: {} }, type: {} } }, /Invalid model "data\.users m" \(field "id"\)/]
+    ];
+
+    for (const [model, error] of cases) assert.throws(() => defineModel(model), error);
+  });
+});
+
+describe('limits of postgreSqlBuilder', () => {
+  // manager { manager { ... { id } } } with the given depth of relations
+  const createFields = (depth) => (depth ? [{ name: 'id' }, { name: 'manager', fields: createFields(depth - 1) }] : [{ name: 'id' }]);
+
+  it('limits the depth of relations', () => {
+    assert.doesNotThrow(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData: createFields(2), maxDepth: 2 }));
+    assert.throws(
+      () => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData: createFields(3), maxDepth: 2 }),
+      /The query is too deep in the model "data\.users u" \(field path "manager\.manager\.manager"\): maximum depth is 2/
+    );
+    assert.doesNotThrow(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData: createFields(20), maxDepth: null, maxRelations: null }));
+  });
+
+  it('limits the count of relations in the whole query', () => {
+    const fieldsData = [{ name: 'manager', fields: [{ name: 'id' }] }, { name: 'manager', alias: 'lead', fields: [{ name: 'id' }] }];
+
+    assert.doesNotThrow(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData, maxRelations: 2 }));
+    assert.throws(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData, maxRelations: 1 }), /The query has too many relations in .+ \(field path "lead"\): maximum is 1/);
+  });
+
+  it('skips unknown fields or rejects them in the strict mode', () => {
+    const fieldsData = [{ name: 'id' }, { name: 'email' }, { name: '__typename' }];
+
+    assert.equal(postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData }).mainQuery.trim(), 'SELECT u.id FROM data.users u');
+    assert.throws(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData, unknownFields: 'strict' }), /Unknown field "email" in the model "data\.users u" \(field path "email"\)/);
+    assert.throws(() => postgreSqlBuilder({ modelSQLField: userSQLFields, fieldsData, unknownFields: 'skip' }), /Incorrect unknownFields value! Need use only lenient, strict/);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildDelete, buildInsert, buildUpdate, buildUpsert } from '../src/index.mjs';
+
+const managerSQLFields = { tableName: 'data.users m', id: { select: ['m.id'] }, email: { select: ['m.email'] } };
+
+const userSQLFields = {
+  tableName: 'data.users u',
+  writable: { email: 'email', managerId: 'manager_id' },
+  id: { select: ['u.id'] },
+  email: { select: ['u.email'] },
+  manager: { relation: managerSQLFields, type: {}, where: { query: 'm.id = u.manager_id' } },
+  reportsCount: { aggregate: 'count', relation: 'data.users r', where: { query: 'r.manager_id = u.id' } }
+};
+
+describe('payload of mutations', () => {
+  it('reads relations and aggregates of the mutated table from the snapshot before the mutation', () => {
+    const { preparedQuery } = buildInsert({
+      modelSQLField: userSQLFields,
+      data: { email: 'a@example.com', managerId: 1 },
+      fieldsData: [{ name: 'id' }, { name: 'manager', fields: [{ name: 'email' }] }, { name: 'reportsCount' }]
+    });
+
+    // Only the inserted record comes from the CTE
+    assert.match(preparedQuery, /^WITH mutation_query AS \(INSERT INTO data\.users AS u \(email, manager_id\) VALUES \(:data_email, :data_managerId\) RETURNING u\.\*\) SELECT /);
+    assert.match(preparedQuery, / FROM mutation_query u\s*$/);
+
+    // Subqueries read the table, they don't see the inserted record (data-modifying CTE)
+    assert.match(preparedQuery, /FROM \(SELECT m\.email FROM data\.users m\s+WHERE \(m\.id = u\.manager_id\)\)/);
+    assert.match(preparedQuery, /\(SELECT count\(\*\) FROM data\.users r WHERE r\.manager_id = u\.id\) AS reports_count/);
+  });
+
+  it('does not return the payload of a conflicting record with DO NOTHING', () => {
+    const { preparedQuery } = buildUpsert({
+      modelSQLField: userSQLFields,
+      data: { email: 'a@example.com' },
+      conflict: ['email'],
+      fieldsData: [{ name: 'id' }]
+    });
+
+    // RETURNING of DO NOTHING is empty for the conflicting record, so the payload is selected only for inserted records
+    assert.equal(
+      preparedQuery,
+      'WITH mutation_query AS (INSERT INTO data.users AS u (email) VALUES (:data_email) ON CONFLICT (email) DO NOTHING RETURNING u.*) SELECT u.id FROM mutation_query u '
+    );
+  });
+
+  it('rejects conflict and update fields which are not in data', () => {
+    const data = [{ email: 'a@example.com' }, { email: 'b@example.com' }];
+
+    assert.throws(() => buildUpsert({ modelSQLField: userSQLFields, data, conflict: ['email'], update: ['managerId'] }), /Incorrect update value! Field "managerId" is not in data/);
+    assert.throws(() => buildUpsert({ modelSQLField: userSQLFields, data, conflict: ['managerId'] }), /Incorrect conflict value! Field "managerId" is not in data/);
+  });
+
+  it('updates fields on the conflict and returns the record', () => {
+    const { preparedQuery } = buildUpsert({
+      modelSQLField: userSQLFields,
+      data: { email: 'a@example.com', managerId: 2 },
+      conflict: ['email'],
+      fieldsData: [{ name: 'id' }]
+    });
+
+    assert.match(preparedQuery, /ON CONFLICT \(email\) DO UPDATE SET manager_id = EXCLUDED\.manager_id RETURNING u\.\*\) SELECT u\.id FROM mutation_query u/);
+  });
+});
+
+describe('scopes of mutations', () => {
+  const answerSQLFields = {
+    tableName: 'data.answers an',
+    writable: { deletedAt: 'deleted_at' },
+    scope: (context) => ({ query: 'an.tenant_id = :tenantId', binding: { tenantId: context.tenantId } }),
+    defaultScope: { query: 'an.deleted_at IS NULL' },
+    id: { select: ['an.id'] }
+  };
+
+  const where = [{ query: 'an.id = :id', binding: { id: 1 } }];
+  const context = { tenantId: 3 };
+
+  it('returns the soft deleted record without the default scope in the payload', () => {
+    const { preparedQuery } = buildUpdate({ modelSQLField: answerSQLFields, data: { deletedAt: '2024-01-01' }, where, fieldsData: [{ name: 'id' }], context });
+    const [mutationQuery, selectQuery] = preparedQuery.split(' RETURNING an.*) ');
+
+    assert.equal(
+      mutationQuery,
+      'WITH mutation_query AS (UPDATE data.answers AS an SET deleted_at = :data_deletedAt WHERE (an.id = :id) AND (an.tenant_id = :tenantId) AND (an.deleted_at IS NULL)'
+    );
+    assert.doesNotMatch(selectQuery, /deleted_at/);
+    assert.match(selectQuery, /an\.tenant_id = :tenantId/);
+  });
+
+  it('removes only the default scope from WHERE of unscoped mutations', () => {
+    const update = buildUpdate({ modelSQLField: answerSQLFields, data: { deletedAt: null }, where, context, unscoped: true });
+    const deletion = buildDelete({ modelSQLField: answerSQLFields, where, context, unscoped: true });
+
+    assert.equal(update.preparedQuery, 'UPDATE data.answers AS an SET deleted_at = :data_deletedAt WHERE (an.id = :id) AND (an.tenant_id = :tenantId) RETURNING an.*');
+    assert.equal(deletion.preparedQuery, 'DELETE FROM data.answers AS an WHERE (an.id = :id) AND (an.tenant_id = :tenantId) RETURNING an.*');
+  });
+
+  it('updates only a conflicting record from the scope', () => {
+    const modelSQLField = { ...answerSQLFields, writable: { ...answerSQLFields.writable, slug: 'slug' } };
+    const { preparedQuery, bindings } = buildUpsert({ modelSQLField, data: { slug: 'a', deletedAt: null }, conflict: ['slug'], context });
+
+    assert.equal(
+      preparedQuery,
+      'INSERT INTO data.answers AS an (slug, deleted_at) VALUES (:data_slug, :data_deletedAt) ON CONFLICT (slug) '
+      + 'DO UPDATE SET deleted_at = EXCLUDED.deleted_at WHERE (an.tenant_id = :tenantId) RETURNING an.*'
+    );
+    assert.deepEqual(bindings, { data_slug: 'a', data_deletedAt: null, tenantId: 3 });
+  });
+
+  it('returns the inserted record out of the default scope', () => {
+    const { preparedQuery } = buildInsert({ modelSQLField: answerSQLFields, data: { deletedAt: '2024-01-01' }, fieldsData: [{ name: 'id' }], context });
+
+    assert.doesNotMatch(preparedQuery.split(' RETURNING an.*) ')[1], /deleted_at/);
+  });
+});
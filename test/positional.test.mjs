@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildInsert, toPositionalQuery } from '../src/index.mjs';
+
+describe('toPositionalQuery', () => {
+  it('expands an array which is the whole IN list', () => {
+    const { text, values } = toPositionalQuery('SELECT * FROM t WHERE t.id IN (:ids) AND t.type NOT IN ( :types ) AND t.b IN (:empty) AND t.a = :a', {
+      ids: [1, 2],
+      types: ['x', 'y'],
+      empty: [],
+      a: 'x'
+    });
+
+    assert.equal(text, 'SELECT * FROM t WHERE t.id IN ($1, $2) AND t.type NOT IN ( $3, $4 ) AND t.b IN (NULL) AND t.a = $5');
+    assert.deepEqual(values, [1, 2, 'x', 'y', 'x']);
+  });
+
+  it('rejects an empty array in NOT IN', () => {
+    assert.throws(() => toPositionalQuery('SELECT * FROM t WHERE t.id NOT IN (:ids)', { ids: [] }), /An empty array can't be used in NOT IN/);
+  });
+
+  it('passes an array as one parameter outside of IN lists', () => {
+    const { text, values } = toPositionalQuery('SELECT * FROM t WHERE t.id = ANY(:ids) OR t.tags && :ids OR t.id IN (:ids)', { ids: [1, 2] });
+
+    assert.equal(text, 'SELECT * FROM t WHERE t.id = ANY($1) OR t.tags && $1 OR t.id IN ($2, $3)');
+    assert.deepEqual(values, [[1, 2], 1, 2]);
+  });
+
+  it('does not change strings, comments and type casts', () => {
+    const { text, values } = toPositionalQuery("SELECT ':a', :a::int -- :a\nFROM t", { a: 1 });
+
+    assert.equal(text, "SELECT ':a', $1::int -- :a\nFROM t");
+    assert.deepEqual(values, [1]);
+  });
+
+  it('does not change escape strings, dollar-quoted strings and array slices', () => {
+    const query = "SELECT E'it\\'s :x', $$ :x $$, $fn$ it's :x $fn$, t.arr[lo:hi], t.arr[1:2], t.arr[:a], t.a$b$c FROM t WHERE t.a = :a";
+    const { text, values } = toPositionalQuery(query, { a: 1 });
+
+    assert.equal(text, "SELECT E'it\\'s :x', $$ :x $$, $fn$ it's :x $fn$, t.arr[lo:hi], t.arr[1:2], t.arr[$1], t.a$b$c FROM t WHERE t.a = $1");
+    assert.deepEqual(values, [1]);
+  });
+
+  it('uses a question mark for every placeholder usage', () => {
+    const { text, values } = toPositionalQuery('SELECT * FROM t WHERE t.a = :a OR t.b = :a OR t.id IN (:ids)', { a: 1, ids: [2, 3] }, 'question');
+
+    assert.equal(text, 'SELECT * FROM t WHERE t.a = ? OR t.b = ? OR t.id IN (?, ?)');
+    assert.deepEqual(values, [1, 1, 2, 3]);
+  });
+});
+
+describe('positional output of mutations', () => {
+  it('passes an array column as one parameter', () => {
+    const model = { tableName: 'data.feedbacks f', writable: { images: 'images', score: 'score' } };
+    const { text, values } = buildInsert({ modelSQLField: model, data: { images: ['a.png', 'b.png'], score: 5 }, output: 'positional' });
+
+    assert.equal(text, 'INSERT INTO data.feedbacks AS f (images, score) VALUES ($1, $2) RETURNING f.*');
+    assert.deepEqual(values, [['a.png', 'b.png'], 5]);
+  });
+});
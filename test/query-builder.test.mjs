@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QueryBuilder, createFakeExecutor } from '../src/index.mjs';
+
+const base = new QueryBuilder().from('data.articles a').select('a.id');
+
+describe('QueryBuilder', () => {
+  it('groups conditions of where and orWhere', () => {
+    const { preparedQuery, bindings } = base
+      .where('a.status = :status', { status: 'new' })
+      .where((builder) => builder.where('a.year = :year', { year: 2020 }).orWhere('a.year IS NULL'))
+      .orWhere('a.is_pinned')
+      .compile();
+
+    // The group is one condition, so OR inside it doesn't change AND of the other conditions
+    assert.equal(preparedQuery, 'SELECT a.id FROM data.articles a WHERE ((a.status = :status) AND ((a.year = :year) OR (a.year IS NULL)) OR (a.is_pinned))');
+    assert.deepEqual(bindings, { status: 'new', year: 2020 });
+  });
+
+  it('ignores an empty group and rejects an empty condition', () => {
+    assert.equal(base.where((builder) => builder).compile().preparedQuery, 'SELECT a.id FROM data.articles a');
+    assert.throws(() => base.where(''), /Invalid input: where condition is required/);
+  });
+
+  it('places HAVING after GROUP BY with its bindings', () => {
+    const { preparedQuery, bindings } = new QueryBuilder()
+      .from('data.articles a')
+      .select('a.author_id', 'count(*) AS count')
+      .where('a.year = :year', { year: 2020 })
+      .groupBy('a.author_id')
+      .having('count(*) > :minCount', { minCount: 2 })
+      .compile();
+
+    assert.equal(preparedQuery, 'SELECT a.author_id, count(*) AS count FROM data.articles a WHERE ((a.year = :year)) GROUP BY a.author_id HAVING (count(*) > :minCount)');
+    assert.deepEqual(bindings, { year: 2020, minCount: 2 });
+  });
+
+  it('rejects different values of one placeholder in WHERE and HAVING', () => {
+    assert.throws(() => base.where('a.year = :value', { value: 1 }).groupBy('a.id').having('count(*) > :value', { value: 2 }).compile(), /Binding conflict/);
+  });
+
+  it('adds every join once and rejects alias clashes', () => {
+    const join = 'LEFT JOIN data.users u ON u.id = a.author_id';
+
+    assert.equal(base.join(join).join(join).compile().preparedQuery, `SELECT a.id FROM data.articles a ${join}`);
+    assert.throws(
+      () => base.join(join).join('LEFT JOIN data.people u ON u.id = a.editor_id').compile(),
+      /Join alias clash in the model "data\.articles a": alias "u" is already used for another join/
+    );
+  });
+
+  it('is immutable, so one builder is a base for several queries', () => {
+    const published = base.where('a.is_published');
+    const copy = published.clone();
+
+    assert.notEqual(copy, published);
+    assert.deepEqual(copy.state, published.state);
+    assert.ok(Object.isFrozen(published.state));
+
+    assert.equal(base.compile().preparedQuery, 'SELECT a.id FROM data.articles a');
+    assert.equal(published.select('a.title').compile().preparedQuery, 'SELECT a.id, a.title FROM data.articles a WHERE ((a.is_published))');
+    assert.equal(copy.compile().preparedQuery, 'SELECT a.id FROM data.articles a WHERE ((a.is_published))');
+  });
+
+  it('requires the table', () => {
+    assert.throws(() => new QueryBuilder().select('a.id').compile(), /Invalid input: table is required/);
+  });
+
+  it('compiles the same query as prepare with the total count', async () => {
+    const builder = base
+      .where('a.user_id = :userId', { userId: 1 })
+      .orderBy('-id', { id: { table: 'a', field: 'id' } })
+      .paginate({ perPage: 10, offset: 20 });
+
+    const executor = createFakeExecutor([[{ count: '42' }]]);
+    const compiled = builder.compile();
+    const prepared = await builder.prepare({ countStrategy: 'exact', executor });
+
+    assert.equal(compiled.preparedQuery, 'SELECT a.id FROM data.articles a WHERE ((a.user_id = :userId)) ORDER BY a.id DESC OFFSET :meta_offset LIMIT :meta_perPage');
+    assert.equal(prepared.preparedQuery, compiled.preparedQuery);
+    assert.deepEqual(prepared.bindings, compiled.bindings);
+    assert.equal(prepared.totalCount, 42);
+    assert.equal(executor.calls[0].sql, 'SELECT count(*) AS count FROM (SELECT a.id FROM data.articles a WHERE ((a.user_id = :userId))) AS count_query');
+  });
+
+  it('compiles to the positional output', () => {
+    assert.deepEqual(base.where('a.year = :year', { year: 2020 }).compile({ output: 'positional' }), {
+      preparedQuery: 'SELECT a.id FROM data.articles a WHERE ((a.year = :year))',
+      bindings: { year: 2020 },
+      text: 'SELECT a.id FROM data.articles a WHERE ((a.year = $1))',
+      values: [2020]
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseQueryParams } from '../src/index.mjs';
+
+const authorSQLFields = { tableName: 'data.users u', id: { select: ['u.id'] }, firstName: { select: ['u.first_name'] } };
+
+const articleSQLFields = {
+  tableName: 'data.articles a',
+  id: { select: ['a.id'] },
+  title: { select: ['a.title'] },
+  author: { relation: authorSQLFields, type: {}, where: { query: 'u.id = a.author_id' } }
+};
+
+const filterRules = { year: { table: 'a', field: 'year', query: null, type: 'integer' } };
+
+describe('parseQueryParams', () => {
+  it('rejects filter keys of the object prototype', () => {
+    for (const key of ['toString', 'constructor', 'hasOwnProperty']) {
+      assert.throws(() => parseQueryParams({ query: `filter[${key}]=1`, filterRules }), { status: 400, parameter: `filter[${key}]` });
+    }
+  });
+
+  it('rejects sorting without sort rules', () => {
+    assert.throws(() => parseQueryParams({ query: 'sort=id--' }), { status: 400, parameter: 'sort', message: /sortRules are required/ });
+    assert.deepEqual(parseQueryParams({ query: 'sort=-id', sortRules: { id: { table: 'a', field: 'id' } } }).meta, { orderBy: ['-id'] });
+  });
+
+  it('uses the sparse fieldset of the type and ignores other types', () => {
+    const { fieldsData } = parseQueryParams({ query: 'fields[articles]=id,author.firstName&fields[people]=email', modelSQLField: articleSQLFields, type: 'articles' });
+
+    assert.deepEqual(fieldsData, [{ name: 'id', fields: null }, { name: 'author', fields: [{ name: 'firstName', fields: null }] }]);
+  });
+
+  it('returns all fields without the sparse fieldset of the type', () => {
+    assert.equal(parseQueryParams({ query: 'fields[people]=email&fields[tags]=name', type: 'articles' }).fieldsData, null);
+  });
+
+  it('rejects several types without the type param', () => {
+    assert.throws(() => parseQueryParams({ query: 'fields[articles]=id&fields[people]=email' }), { status: 400, parameter: 'fields[articles,people]' });
+    assert.deepEqual(parseQueryParams({ query: 'fields[articles]=id' }).fieldsData, [{ name: 'id', fields: null }]);
+  });
+
+  it('rejects fields of the object prototype', () => {
+    assert.throws(() => parseQueryParams({ query: 'fields[articles]=constructor', modelSQLField: articleSQLFields }), { status: 400, message: /unknown field "constructor"/ });
+  });
+});
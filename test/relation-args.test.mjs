@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRelationArgsQuery, postgreSqlBuilder } from '../src/index.mjs';
+
+const answerSQLFields = { tableName: 'data.answers an', id: { select: ['an.id'] } };
+
+const feedbackSQLFields = {
+  tableName: 'data.feedbacks f',
+  id: { select: ['f.id'] },
+  answers: {
+    relation: answerSQLFields,
+    type: [],
+    where: { query: 'an.feedback_id = f.id' },
+    maxLimit: 10,
+    filterRules: { score: { table: 'an', field: 'score', query: null } },
+    sortRules: { createdAt: { table: 'an', field: 'created_at' }, score: { table: 'an', field: 'score' } }
+  }
+};
+
+const modelField = feedbackSQLFields.answers;
+
+describe('arguments of relation fields', () => {
+  it('adds filters, sorting, limit and offset to the relation subquery', () => {
+    const { mainQuery, where } = postgreSqlBuilder({
+      modelSQLField: feedbackSQLFields,
+      fieldsData: [{ name: 'answers', fields: [{ name: 'id' }], args: { filters: { score: { gte: 4 } }, orderBy: '-createdAt', nulls: 'last', first: 5, offset: 2 } }]
+    });
+
+    assert.match(
+      mainQuery,
+      /FROM data\.answers an {2}WHERE \(an\.feedback_id = f\.id\) AND \(an\.score >= :answers__filter_score_gte\) ORDER BY an\.created_at DESC NULLS LAST LIMIT 5 OFFSET 2\) AS answers_alias/
+    );
+    assert.deepEqual(where, [{ binding: { answers__filter_score_gte: 4 } }]);
+  });
+
+  it('sorts by several keys with the order of the arguments', () => {
+    assert.deepEqual(createRelationArgsQuery({ name: 'answers', modelField, args: { orderBy: ['score', '-createdAt'], order: 'desc', first: 3 } }), {
+      where: [],
+      sorting: ' ORDER BY an.score DESC, an.created_at DESC LIMIT 3'
+    });
+  });
+
+  it('uses maxLimit as the default limit and rejects a bigger limit', () => {
+    assert.equal(createRelationArgsQuery({ name: 'answers', modelField, args: {} }).sorting, ' LIMIT 10');
+    assert.equal(createRelationArgsQuery({ name: 'answers', modelField, args: { limit: 10 } }).sorting, ' LIMIT 10');
+    assert.equal(createRelationArgsQuery({ name: 'answers', modelField: { ...modelField, maxLimit: undefined }, args: {} }).sorting, '');
+
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField, args: { first: 11 } }), /Incorrect limit value for the relation "answers"! Maximum is 10/);
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField, args: { first: -1 } }), /Incorrect limit value for the relation "answers"! Need use a positive integer/);
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField, args: { offset: 1.5 } }), /Incorrect offset value for the relation "answers"/);
+  });
+
+  it('requires the rules for filters and sorting', () => {
+    const relationField = { relation: answerSQLFields, type: [] };
+
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField: relationField, args: { filters: { score: 4 } } }), /filterRules are required for filtering the relation "answers"/);
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField: relationField, args: { orderBy: 'score' } }), /sortRules are required for sorting the relation "answers"/);
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField, args: { filters: { text: 'x' } } }), /Unknown filter field "text"/);
+    assert.throws(() => createRelationArgsQuery({ name: 'answers', modelField, args: { orderBy: 'text' } }), /Unknown sorting field "text"/);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeLikePattern, searchHelper } from '../src/index.mjs';
+
+describe('searchHelper', () => {
+  it('validates the threshold of the trigram mode', () => {
+    for (const threshold of ['abc', '0.3', NaN, -1, 2]) {
+      assert.throws(() => searchHelper({ search: 'x', rules: { title: { table: 'a', field: 'title', mode: 'trigram', threshold } } }), /Incorrect threshold for the key "title"/);
+    }
+
+    assert.equal(
+      searchHelper({ search: 'x', rules: { title: { table: 'a', field: 'title', mode: 'trigram', threshold: 0.3 } } }).query,
+      'similarity(a.title::text, :search_trigram) >= 0.3'
+    );
+    assert.equal(
+      searchHelper({ search: 'x', rules: { title: { table: 'a', field: 'title', mode: 'trigram', threshold: 0 } } }).query,
+      'similarity(a.title::text, :search_trigram) >= 0'
+    );
+  });
+
+  it('creates the condition of every mode with one placeholder per mode', () => {
+    const rules = {
+      code: { table: 'a', field: 'code', mode: 'prefix' },
+      title: { table: 'a', field: 'title', mode: 'contains' },
+      createdAt: { table: 'a', field: 'created_at', query: "to_char(a.created_at, 'DD/MM/YYYY')", mode: 'prefix' },
+      slug: { table: 'a', field: 'slug', mode: 'exact' },
+      author: { table: 'u', field: 'name', mode: 'ilike' },
+      tags: { table: 'a', field: 'tags', mode: 'trigram' },
+      body: { table: 'a', field: 'body', mode: 'fullText', language: 'english' }
+    };
+
+    assert.deepEqual(searchHelper({ search: '  New Year ', rules }), {
+      query: [
+        'LOWER(a.code::text) LIKE :search_prefix',
+        'LOWER(a.title::text) LIKE :search_contains',
+        "LOWER(to_char(a.created_at, 'DD/MM/YYYY')::text) LIKE :search_prefix",
+        'LOWER(a.slug::text) = :search_exact',
+        'u.name::text ILIKE :search_ilike',
+        'a.tags::text % :search_trigram',
+        "to_tsvector('english', a.body::text) @@ websearch_to_tsquery('english', :search_fullText)"
+      ].join(' OR '),
+      binding: {
+        search_prefix: 'new year%',
+        search_contains: '%new year%',
+        search_exact: 'new year',
+        search_ilike: '%New Year%',
+        search_trigram: 'New Year',
+        search_fullText: 'New Year'
+      }
+    });
+  });
+
+  it('escapes special chars of LIKE patterns', () => {
+    const modes = ['prefix', 'contains', 'exact', 'ilike', 'fullText'];
+    const rules = Object.fromEntries(modes.map((mode) => [mode, { table: 'a', field: 'title', mode }]));
+
+    assert.equal(escapeLikePattern('50%_off\\'), '50\\%\\_off\\\\');
+    assert.deepEqual(searchHelper({ search: '50%_Off\\', rules }).binding, {
+      search_prefix: '50\\%\\_off\\\\%',
+      search_contains: '%50\\%\\_off\\\\%',
+      search_exact: '50%_off\\',
+      search_ilike: '%50\\%\\_Off\\\\%',
+      search_fullText: '50%_Off\\'
+    });
+  });
+
+  it('rejects unknown modes and languages which are not words', () => {
+    assert.throws(() => searchHelper({ search: 'x', rules: { title: { table: 'a', field: 'title', mode: 'regexp' } } }), /Unknown search mode "regexp" for the key "title"/);
+    assert.throws(() => searchHelper({ search: 'x', rules: { title: { table: 'a', field: 'title', mode: 'fullText', language: "english') OR ('1" } } }), /Incorrect language for the key "title"/);
+    assert.throws(() => searchHelper({ search: 'x', rules: {} }), /searchRules are required/);
+    assert.equal(searchHelper({ search: '   ', rules: {} }), null);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSQLQuery, createSortColumns, encodeCursor, parseOrderQuery } from '../src/index.mjs';
+
+const sortRules = {
+  createdAt: { table: 'a', field: 'created_at', nulls: 'last' },
+  id: { table: 'a', field: 'id', nullable: false }
+};
+
+const mainQuery = 'SELECT a.id, a.created_at FROM data.articles a';
+
+describe('createSortColumns', () => {
+  it('rejects keys which are not in the sort rules', () => {
+    for (const key of ['title', 'toString', 'constructor']) {
+      assert.throws(
+        () => createSortColumns({ orderBy: `-${key}`, rules: sortRules }),
+        new RegExp(`^Error: Incorrect orderBy value! Unknown sorting field "${key}". Allowed fields: createdAt, id$`)
+      );
+    }
+
+    assert.throws(() => buildSQLQuery({ mainQuery, sortRules, meta: { orderBy: ['id', 'title'] } }), /Unknown sorting field "title"/);
+  });
+
+  it('rejects incorrect order and nulls values', () => {
+    assert.throws(() => createSortColumns({ orderBy: { field: 'id', order: 'down' }, rules: sortRules }), /Incorrect order value! Need use only ASC or DESC!/);
+    assert.throws(() => createSortColumns({ orderBy: 'id', nulls: 'MIDDLE', rules: sortRules }), /Incorrect nulls value! Need use only FIRST or LAST!/);
+    assert.throws(() => createSortColumns({ orderBy: [''], rules: sortRules }), /Incorrect orderBy value! Need use a string or an object with the field key!/);
+  });
+
+  it('uses the fields of the table without rules', () => {
+    assert.deepEqual(createSortColumns({ orderBy: '-title', table: 'data.articles' }), [{ column: 'data.articles.title', direction: 'DESC', nulls: null, key: 'title' }]);
+  });
+});
+
+describe('NULLS of sorting', () => {
+  it('uses NULLS of the sort item, then of meta, then of the rule', () => {
+    const getOrder = (meta) => buildSQLQuery({ mainQuery, sortRules, meta, paginate: false }).preparedQuery.replace(mainQuery, '');
+
+    assert.equal(getOrder({ orderBy: ['-createdAt', 'id'] }), ' ORDER BY a.created_at DESC NULLS LAST, a.id ASC');
+    assert.equal(getOrder({ orderBy: ['-createdAt', 'id'], nulls: 'first' }), ' ORDER BY a.created_at DESC NULLS FIRST, a.id ASC NULLS FIRST');
+    assert.equal(
+      getOrder({ orderBy: [{ field: 'createdAt', order: 'desc', nulls: 'first' }, 'id'], nulls: 'last' }),
+      ' ORDER BY a.created_at DESC NULLS FIRST, a.id ASC NULLS LAST'
+    );
+  });
+
+  it('reverses NULLS for the previous page of the cursor pagination', () => {
+    const before = encodeCursor(['created_at', 'id'], [null, 5]);
+    const { preparedQuery, bindings } = buildSQLQuery({ mainQuery, sortRules, meta: { orderBy: ['-createdAt', 'id'], before, perPage: 2 } });
+
+    // Records with a date are before the cursor with NULL (NULLS LAST)
+    assert.equal(
+      preparedQuery,
+      `${mainQuery} WHERE ((a.created_at IS NOT NULL) OR (a.created_at IS NULL AND a.id < :meta_cursor1)) ORDER BY a.created_at ASC NULLS FIRST, a.id DESC LIMIT :meta_perPage + 1`
+    );
+    assert.deepEqual(bindings, { meta_cursor1: 5, meta_perPage: 2 });
+  });
+
+  it('parses NULLS of the raw ORDER BY', () => {
+    assert.deepEqual(parseOrderQuery('ORDER BY COALESCE(t.year, t.month) desc nulls last, t.id'), [
+      { column: 'COALESCE(t.year, t.month)', direction: 'DESC', nulls: 'LAST' },
+      { column: 't.id', direction: 'ASC', nulls: null }
+    ]);
+  });
+});